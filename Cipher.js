@@ -4,25 +4,27 @@
 'use strict';
 
 import base64url from 'base64url-universal';
+import * as c20pAlgorithm from './algorithms/c20p.js';
+import * as ecdhkdf from './algorithms/ecdhkdf.js';
 import * as fipsAlgorithm from './algorithms/fips.js';
 import * as recAlgorithm from './algorithms/recommended.js';
 
-const VERSIONS = ['recommended', 'fips'];
-const ALGORITHMS = {
-  [fipsAlgorithm.JWE_ENC]: fipsAlgorithm,
-  [recAlgorithm.JWE_ENC]: recAlgorithm
-};
+// maps version names to JWE `enc` values
+const VERSIONS = new Map();
+// maps JWE `enc` values to algorithm modules
+const ALGORITHMS = new Map();
 
 export class Cipher {
   /**
    * Creates a new Cipher instance that can be used to encrypt or decrypt
    * data. A version must be supplied for encrypting data; the version
    * indicates whether a FIPS-compliant algorithm or the latest recommended
-   * algorithm will be used.
+   * algorithm will be used. Other versions may be added via
+   * `Cipher.registerVersion`.
    *
    * @param {String} [version='recommended'] `fips` to use a FIPS-compliant
    *   algorithm, `recommended` to use the latest recommended algorithm when
-   *   encrypting.
+   *   encrypting, or the name of another registered version.
    *
    * @return {Cipher}.
    */
@@ -30,11 +32,100 @@ export class Cipher {
     if(typeof version !== 'string') {
       throw new TypeError('"version" must be a string.');
     }
-    if(!VERSIONS.includes(version)) {
-      throw new Error(`Unsupported version "${version}".`);
+    if(!VERSIONS.has(version)) {
+      const err = new Error(`Unsupported version "${version}".`);
+      err.name = 'NotSupportedError';
+      throw err;
     }
     this.version = version;
-    this.algorithm = version === 'fips' ? fipsAlgorithm : recAlgorithm;
+    this.algorithm = ALGORITHMS.get(VERSIONS.get(version));
+  }
+
+  /**
+   * Registers a content encryption algorithm so that JWEs with a matching
+   * `enc` header can be decrypted and so that it can be used by a version.
+   * Registering an algorithm for an `enc` that is already registered replaces
+   * the existing implementation (e.g. with a hardware-backed one).
+   *
+   * @param {Object} module the algorithm module with `generateKey`,
+   *   `encrypt`, and `decrypt` functions.
+   * @param {String} [enc=module.JWE_ENC] the JWE `enc` value for the
+   *   algorithm.
+   */
+  static registerAlgorithm({enc, module}) {
+    if(!(module && typeof module === 'object')) {
+      throw new TypeError('"module" must be an object.');
+    }
+    if(enc === undefined) {
+      enc = module.JWE_ENC;
+    }
+    if(!(enc && typeof enc === 'string')) {
+      throw new TypeError('"enc" must be a non-empty string.');
+    }
+    for(const fn of ['generateKey', 'encrypt', 'decrypt']) {
+      if(typeof module[fn] !== 'function') {
+        throw new TypeError(`"module.${fn}" must be a function.`);
+      }
+    }
+    // algorithm modules are expected to export their `enc` value
+    if(module.JWE_ENC !== enc) {
+      module = {...module, JWE_ENC: enc};
+    }
+    ALGORITHMS.set(enc, module);
+  }
+
+  /**
+   * Registers a version name that maps to the given registered content
+   * encryption algorithm. Registering an existing version name changes the
+   * algorithm used by Cipher instances created afterwards.
+   *
+   * @param {String} name the version name.
+   * @param {String} enc the JWE `enc` value of a registered algorithm.
+   */
+  static registerVersion(name, enc) {
+    if(!(name && typeof name === 'string')) {
+      throw new TypeError('"name" must be a non-empty string.');
+    }
+    if(!ALGORITHMS.has(enc)) {
+      throw _createUnsupportedAlgorithmError(enc);
+    }
+    VERSIONS.set(name, enc);
+  }
+
+  /**
+   * Unregisters a content encryption algorithm, e.g. one registered by a
+   * test; JWEs with a matching `enc` header can no longer be decrypted. An
+   * algorithm that is used by a version cannot be unregistered until the
+   * version is unregistered.
+   *
+   * @param {String} enc the JWE `enc` value of the algorithm.
+   *
+   * @return {Boolean} `true` if the algorithm was unregistered, `false` if
+   *   it was not registered.
+   */
+  static unregisterAlgorithm(enc) {
+    for(const [name, versionEnc] of VERSIONS) {
+      if(versionEnc === enc) {
+        const err = new Error(
+          `Algorithm "${enc}" is used by version "${name}".`);
+        err.name = 'InvalidStateError';
+        throw err;
+      }
+    }
+    return ALGORITHMS.delete(enc);
+  }
+
+  /**
+   * Unregisters a version name; Cipher instances that were created using it
+   * are not affected.
+   *
+   * @param {String} name the version name.
+   *
+   * @return {Boolean} `true` if the version was unregistered, `false` if it
+   *   was not registered.
+   */
+  static unregisterVersion(name) {
+    return VERSIONS.delete(name);
   }
 
   /**
@@ -43,30 +134,45 @@ export class Cipher {
    * wrapped content encryption key (CEK) can be found in `recipients` for
    * `kek`, then it will be unwrapped and reused. Otherwise, a new CEK will be
    * generated. If a new CEK is to be generated, then all other recipients must
-   * reference an accessible Diffie-Hellman public key so that this method can
-   * wrap the CEK for them.
+   * use `ECDH-ES+A256KW` and reference a Diffie-Hellman public key that
+   * `keyResolver` can resolve so that this method can wrap the CEK for them.
+   * If the CEK is reused, then it will be wrapped for any other
+   * `ECDH-ES+A256KW` recipients that do not yet have an `encrypted_key`.
    *
    * @param {Uint8Array|String} data the data to encrypt.
    * @param {Object} kek a key encryption key API with `id`, `wrap`, and
    *   `unwrap`.
    * @param {Array} [recipients=[]] an array of recipients for the encrypted
    *   content.
-   * @param {String} [wrappedCek] a base64url-encoded CEK.
+   * @param {Function} [keyResolver] a function that takes `{id}` and returns
+   *   a Promise that resolves to the public key (as an X25519 or P-256 JWK)
+   *   for the recipient with the matching `kid`.
+   * @param {Object} [protectedHeader={}] additional parameters to include in
+   *   the JWE protected header; these are authenticated along with the
+   *   encrypted data. The `enc` parameter is always set by this method.
    *
    * @return {Promise<Object>} resolves to a JWE.
    */
-  async encrypt({data, kek, recipients = []}) {
+  async encrypt({
+    data, kek, recipients = [], keyResolver, protectedHeader = {}
+  }) {
     if(!Array.isArray(recipients)) {
       throw new TypeError('"recipients" must be an array.');
     }
+    if(!(protectedHeader && typeof protectedHeader === 'object' &&
+      !('enc' in protectedHeader))) {
+      throw new TypeError(
+        '"protectedHeader" must be an object without an "enc" parameter.');
+    }
     data = _strToUint8Array(data);
     const {algorithm} = this;
 
-    // create new recipient or find existing one that matches KEK
+    // create new recipient or find existing one that matches KEK; recipients
+    // are copied as their headers and wrapped keys may be updated below
     let recipient;
-    recipients = recipients.slice();
+    recipients = recipients.map(r => ({...r, header: {...r.header}}));
     if(recipients.length === 0) {
-      // kek not added to recipients yet, copy recipients and add it
+      // kek not added to recipients yet, add it
       recipient = {
         header: {
           alg: kek.algorithm,
@@ -84,25 +190,27 @@ export class Cipher {
 
     // if no encrypted key is present, generate a new CEK and wrap it
     let cek;
+    let others = recipients.filter(r => r !== recipient);
     if(!recipient.encrypted_key) {
-      // TODO: allow key wrapping for other recipients if they all use
-      // `ECDH-ES+A256KW` instead of simply rejecting outright
-      if(recipients.length > 1) {
-        throw new Error(
-          'Wrapping a new CEK for other recipients is not implemented.');
-      }
       cek = await algorithm.generateKey();
       recipient.encrypted_key = await kek.wrap({key: cek});
-      // TODO: wrap CEK for all other recipients
+      // any key previously wrapped for other recipients is for an old CEK
     } else {
       // unwrap CEK for use below
       cek = await kek.unwrap({wrappedKey: recipient.encrypted_key});
+      others = others.filter(r => !r.encrypted_key);
+    }
+
+    // wrap CEK for all other recipients that need it
+    if(others.length > 0) {
+      await Promise.all(others.map(
+        r => _wrapForRecipient({recipient: r, cek, keyResolver})));
     }
 
     // create shared protected header as associated authenticated data (aad)
     // ASCII(BASE64URL(UTF8(JWE Protected Header)))
     const enc = algorithm.JWE_ENC;
-    const jweProtectedHeader = JSON.stringify({enc});
+    const jweProtectedHeader = JSON.stringify({enc, ...protectedHeader});
     const _protected = base64url.encode(_strToUint8Array(jweProtectedHeader));
     // UTF8-encoding a base64url-encoded string is the same as ASCII
     const additionalData = _strToUint8Array(_protected);
@@ -139,19 +247,30 @@ export class Cipher {
 
   /**
    * Decrypts a JWE. The only JWEs currently supported use an `alg` of `A256KW`
-   * and `enc` of `A256GCM` or `C20P`. These parameters refer to data that has
-   * been encrypted using a 256-bit AES-GCM or ChaCha20Poly1305 content
-   * encryption key CEK that has been wrapped using a 256-bit AES-KW key
-   * encryption key KEK.
+   * or `ECDH-ES+A256KW` and `enc` of `A256GCM`, `XC20P`, or `C20P`. These
+   * parameters refer to data that has been encrypted using a 256-bit AES-GCM,
+   * XChaCha20Poly1305, or ChaCha20Poly1305 content encryption key CEK that has
+   * been wrapped using a 256-bit AES-KW key encryption key KEK; for
+   * `ECDH-ES+A256KW`, the KEK is derived via ECDH using the recipient's `epk`
+   * header and the given `keyAgreementKey`.
+   *
+   * Either `kek` or `keyAgreementKey` must be given.
    *
    * @param {Object} jwe the JWE to decrypt.
-   * @param {Object} kek a key encryption key API with `id`, `wrap`, and
+   * @param {Object} [kek] a key encryption key API with `id`, `wrap`, and
    *   `unwrap`.
+   * @param {Object} [keyAgreementKey] a key agreement key API with `id` and
+   *   `deriveSecret`.
    *
    * @return {Promise<Uint8Array|null>} resolves to the decrypted data or
    *   `null` if the decryption failed.
    */
-  async decrypt({jwe, kek}) {
+  async decrypt({jwe, kek, keyAgreementKey}) {
+    if(!kek === !keyAgreementKey) {
+      throw new TypeError(
+        'Exactly one of "kek" or "keyAgreementKey" must be given.');
+    }
+
     // validate JWE
     if(!(jwe && typeof jwe === 'object')) {
       throw new TypeError('"jwe" must be an object.');
@@ -170,31 +289,23 @@ export class Cipher {
     }
 
     // validate encryption header
-    let header;
-    let additionalData;
-    try {
-      // ASCII(BASE64URL(UTF8(JWE Protected Header)))
-      additionalData = _strToUint8Array(jwe.protected);
-      header = JSON.parse(new TextDecoder().decode(
-        base64url.decode(jwe.protected)));
-    } catch(e) {
-      throw new Error('Invalid JWE "protected" header.');
-    }
-    if(!(header.enc && typeof header.enc === 'string')) {
-      throw new Error('Invalid JWE "enc" header.');
-    }
-    const algorithm = ALGORITHMS[header.enc];
+    const header = this.getProtectedHeader({jwe});
+    // ASCII(BASE64URL(UTF8(JWE Protected Header)))
+    const additionalData = _strToUint8Array(jwe.protected);
+    const algorithm = ALGORITHMS.get(header.enc);
     if(!algorithm) {
-      throw new Error('Unsupported encryption algorithm "${header.enc}".');
+      throw _createUnsupportedAlgorithmError(header.enc);
     }
 
     // find wrapped key for kekId
     if(!Array.isArray(jwe.recipients)) {
       throw new TypeError('"jwe.recipients" must be an array.');
     }
-    const recipient = _findRecipient(jwe.recipients, kek);
+    const recipient = _findRecipient(jwe.recipients, kek ||
+      {id: keyAgreementKey.id, algorithm: ecdhkdf.JWE_ALG});
     if(!recipient) {
-      throw new Error('No matching recipient found for KEK.');
+      const keyType = kek ? 'KEK' : 'key agreement key';
+      throw new Error(`No matching recipient found for ${keyType}.`);
     }
     const {encrypted_key: wrappedKey} = recipient;
     if(typeof wrappedKey !== 'string') {
@@ -202,7 +313,17 @@ export class Cipher {
     }
 
     // unwrap CEK and decrypt content
-    const cek = await kek.unwrap({wrappedKey});
+    let cek;
+    if(kek) {
+      cek = await kek.unwrap({wrappedKey});
+    } else {
+      const {epk} = recipient.header;
+      if(!(epk && typeof epk === 'object')) {
+        throw new Error('Invalid or missing "epk".');
+      }
+      cek = await ecdhkdf.unwrapKey(
+        {keyAgreementKey, epk, encryptedKey: wrappedKey});
+    }
     const {ciphertext, iv, tag} = jwe;
     return algorithm.decrypt({
       ciphertext: base64url.decode(ciphertext),
@@ -213,18 +334,48 @@ export class Cipher {
     });
   }
 
+  /**
+   * Decodes the protected header of a JWE without decrypting it. Note that
+   * the header is only authenticated once the JWE has been decrypted.
+   *
+   * @param {Object} jwe the JWE with the header to decode.
+   *
+   * @return {Object} the decoded protected header.
+   */
+  getProtectedHeader({jwe}) {
+    if(!(jwe && typeof jwe === 'object')) {
+      throw new TypeError('"jwe" must be an object.');
+    }
+    if(typeof jwe.protected !== 'string') {
+      throw new TypeError('"jwe.protected" is missing or not a string.');
+    }
+    let header;
+    try {
+      header = JSON.parse(new TextDecoder().decode(
+        base64url.decode(jwe.protected)));
+    } catch(e) {
+      throw new Error('Invalid JWE "protected" header.');
+    }
+    if(!(header && header.enc && typeof header.enc === 'string')) {
+      throw new Error('Invalid JWE "enc" header.');
+    }
+    return header;
+  }
+
   /**
    * Decrypts a JWE that must contain an encrypted object. This method will
    * call `decrypt` and then `JSON.parse` the resulting decrypted UTF-8 data.
    *
    * @param {Object} jwe the JWE to decrypt.
-   * @param {String} kek the KEK API to use to decrypt.
+   * @param {Object} [kek] the KEK API to use to decrypt.
+   * @param {Object} [keyAgreementKey] the key agreement key API to use to
+   *   decrypt.
    *
    * @return {Promise<Object|null>} resolves to the decrypted object or `null`
    *   if the decryption failed.
    */
-  async decryptObject({jwe, kek}) {
-    const data = await this.decrypt({jwe, kek});
+  async decryptObject({jwe, kek, keyAgreementKey}) {
+    const data = await this.decrypt({jwe, kek, keyAgreementKey});
     if(!data) {
       // decryption failed
       return null;
@@ -233,11 +384,43 @@ export class Cipher {
   }
 }
 
+// register built-in algorithms; previously recommended algorithms remain
+// registered so existing data can still be decrypted
+Cipher.registerAlgorithm({module: c20pAlgorithm});
+Cipher.registerAlgorithm({module: fipsAlgorithm});
+Cipher.registerAlgorithm({module: recAlgorithm});
+Cipher.registerVersion('fips', fipsAlgorithm.JWE_ENC);
+Cipher.registerVersion('recommended', recAlgorithm.JWE_ENC);
+
+function _createUnsupportedAlgorithmError(enc) {
+  const err = new Error(`Unsupported encryption algorithm "${enc}".`);
+  err.name = 'NotSupportedError';
+  err.algorithm = enc;
+  return err;
+}
+
 function _findRecipient(recipients, kek) {
   return recipients.find(
     e => e.header && e.header.kid === kek.id && e.header.alg === kek.algorithm);
 }
 
+async function _wrapForRecipient({recipient, cek, keyResolver}) {
+  const {header} = recipient;
+  if(header.alg !== ecdhkdf.JWE_ALG) {
+    throw new Error(
+      `Cannot wrap a new CEK for recipient "${header.kid}"; only ` +
+      `"${ecdhkdf.JWE_ALG}" recipients are supported.`);
+  }
+  if(typeof keyResolver !== 'function') {
+    throw new TypeError(
+      '"keyResolver" must be a function to wrap a CEK for other recipients.');
+  }
+  const publicKey = await keyResolver({id: header.kid});
+  const {epk, encryptedKey} = await ecdhkdf.wrapKey({cek, publicKey});
+  header.epk = epk;
+  recipient.encrypted_key = encryptedKey;
+}
+
 function _strToUint8Array(data) {
   if(typeof data === 'string') {
     // convert data to Uint8Array
@@ -3,9 +3,35 @@
  */
 'use strict';
 
-import axios from 'axios';
+import Ajv from 'ajv';
+import {AxiosTransport} from './transports/AxiosTransport.js';
+import base64url from 'base64url-universal';
 import {Cipher} from './Cipher.js';
+import {JWE_ALG as ECDH_ALG} from './algorithms/ecdhkdf.js';
+import {DataHubService} from './DataHubService.js';
 import {IndexHelper} from './IndexHelper.js';
+import {LruCache} from './LruCache.js';
+import {getError, request} from './transports/request.js';
+import {
+  getAbsoluteUrl, signCapabilityDelegation
+} from './transports/signature.js';
+
+// bounds of the delay before retrying after a conflict, in milliseconds
+const MIN_RETRY_DELAY = 50;
+const MAX_RETRY_DELAY = 2000;
+
+// the maximum number of operations to send in a single batch request
+const MAX_BATCH_SIZE = 100;
+
+// bounds of the delay before reconnecting to the changes endpoint after a
+// request fails, in milliseconds
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+// errors raised for the HTTP error statuses of document requests
+const CONFLICT_ERROR = {name: 'InvalidStateError', message: 'Conflict error.'};
+const DUPLICATE_ERROR = {name: 'DuplicateError', message: 'Duplicate error.'};
+const NOT_FOUND_ERROR = {name: 'NotFoundError', message: 'Document not found.'};
 
 export class DataHub {
   /**
@@ -15,22 +41,155 @@ export class DataHub {
    * @param {String} [baseUrl='/data-hubs'] an endpoint for data hub storage.
    * @param {Object} config the data hub's configuration document.
    * @param {kek} kek a KEK API for wrapping content encryption keys.
-   * @param {hmac} hmac an HMAC API for blinding indexable attributes.
+   * @param {hmac|Array} hmac an HMAC API for blinding indexable attributes or,
+   *   to rotate the HMAC key, an array of the current and next HMAC APIs;
+   *   documents are then indexed using both and `find` queries using both,
+   *   merging the results (see `finalizeHmacRotation`).
+   * @param {Function} [keyResolver] a function that takes `{id}` and returns
+   *   a Promise that resolves to the public key JWK for a document recipient
+   *   that uses `ECDH-ES+A256KW`; required to encrypt documents that are
+   *   shared with such recipients.
+   * @param {String} [cipherVersion] the cipher version to encrypt documents
+   *   with (e.g. `recommended` or `fips`); if the data hub's configuration
+   *   has a `cipher` field, its `version` is used and any given
+   *   `cipherVersion` must match it (default: `recommended`).
+   * @param {Boolean} [strictCipher] `true` to reject documents that are not
+   *   encrypted using the cipher version's algorithm, `false` to decrypt any
+   *   supported algorithm (default: `true` if the data hub's configuration
+   *   has a `cipher` field, `false` if not).
+   * @param {Boolean} [requireBoundJwe=false] `true` to reject documents whose
+   *   JWE does not bind their `id` and `sequence`, i.e. documents that have
+   *   not been written since binding was added; set this once every
+   *   document has been rewritten, `false` to accept them.
+   * @param {Number} [blindingVersion] the version of the blinding scheme used
+   *   to index and find documents; only data hubs that have not yet migrated
+   *   their index entries via `migrateIndex` should use an older version
+   *   (default: the data hub configuration's `blindingVersion` or else the
+   *   latest version used by its indexes; if it records neither, the latest
+   *   version is used and `find` also matches version 1 entries until
+   *   `migrateIndex` records the version).
+   * @param {Object} [transport] the transport to send requests with, e.g. a
+   *   `FetchTransport` or, to use an in-process server, a `MemoryTransport`
+   *   (default: a new `AxiosTransport`).
+   * @param {Object} [invocationSigner] a signer API with an `id` and a
+   *   `sign({data})` function to sign every request with using HTTP
+   *   Signatures, as an invocation of `capability`.
+   * @param {Object|String} [capability] the authorization capability (zcap)
+   *   to invoke, or its ID, e.g. one delegated via `delegate` (default: the
+   *   data hub's root capability, whose ID is the data hub's URL).
+   * @param {Object} [cache] options to cache decrypted documents and
+   *   unwrapped content encryption keys (CEKs) in memory,
+   *   `{maxDocuments = 100, maxDocumentBytes, maxKeys = 100}`, where
+   *   `maxDocuments` and `maxKeys` are numbers of entries (each CEK is 32
+   *   bytes) and `maxDocumentBytes`, if given, bounds the approximate total
+   *   size of the cached documents; the least recently used entries are
+   *   evicted first. Nothing is cached if not given. See `get` and
+   *   `clearCache`.
+   * @param {Boolean} [validateOnDecrypt=false] `true` to also validate the
+   *   content of documents against their registered schemas when they are
+   *   read, `false` to only validate it when it is written; see
+   *   `registerSchema`.
+   *
+   * Any indexes stored in the data hub's configuration (see `ensureIndex`)
+   * are ensured automatically.
    *
    * @return {DataHub}.
    */
-  constructor({baseUrl = '/data-hubs', config, kek, hmac}) {
+  constructor({
+    baseUrl = '/data-hubs', config, kek, hmac, keyResolver, cipherVersion,
+    strictCipher = !!config.cipher, requireBoundJwe = false, blindingVersion,
+    transport = new AxiosTransport(), invocationSigner, capability, cache,
+    validateOnDecrypt = false
+  }) {
+    this.baseUrl = baseUrl;
+    this.transport = transport;
+    this.invocationSigner = invocationSigner;
     this.config = config;
     this.kek = kek;
-    // TODO: support passing cipher `version`
-    this.cipher = new Cipher();
-    this.indexHelper = new IndexHelper({hmac});
+    this.keyResolver = keyResolver;
+    if(config.cipher) {
+      const {version} = config.cipher;
+      if(cipherVersion !== undefined && cipherVersion !== version) {
+        throw new Error(
+          `Cipher version "${cipherVersion}" does not match the data hub ` +
+          `cipher version "${version}".`);
+      }
+      cipherVersion = version;
+    }
+    this.cipher = new Cipher({version: cipherVersion});
+    this.strictCipher = strictCipher;
+    this.requireBoundJwe = requireBoundJwe;
+    const {indexes = []} = config;
+    // `true` if the data hub may have entries that predate blinding version 2
+    let legacyBlinding = false;
+    if(blindingVersion === undefined) {
+      if(config.blindingVersion !== undefined) {
+        blindingVersion = config.blindingVersion;
+      } else if(indexes.length > 0) {
+        blindingVersion = Math.max(...indexes.map(
+          ({blindingVersion = 1}) => blindingVersion));
+      } else {
+        legacyBlinding = true;
+      }
+    }
+    const hmacs = Array.isArray(hmac) ? hmac : [hmac];
+    if(hmacs.length === 0) {
+      throw new TypeError('"hmac" must be an HMAC API or an array of them.');
+    }
+    // the first index helper is the primary one
+    this.indexHelpers = hmacs.map(
+      hmac => new IndexHelper({hmac, blindingVersion}));
+    this.indexHelper = this.indexHelpers[0];
+    this._legacyBlinding = legacyBlinding &&
+      this.indexHelper.blindingVersion !== 1;
+    indexes.forEach(index => this._ensureIndex(index));
     const root = `${baseUrl}/${encodeURIComponent(config.id)}`;
     this.urls = {
       root,
+      authorizations: `${root}/authorizations`,
+      batch: `${root}/batch`,
+      changes: `${root}/changes`,
       documents: `${root}/documents`,
       query: `${root}/query`
     };
+    this.capability = capability || root;
+    if(cache) {
+      const {maxDocuments = 100, maxDocumentBytes, maxKeys = 100} = cache;
+      this._documentCache = new LruCache({
+        maxSize: maxDocuments, maxBytes: maxDocumentBytes,
+        // JSON as UTF-16
+        sizeOf: ({doc}) => JSON.stringify(doc).length * 2
+      });
+      this._keyCache = new LruCache({maxSize: maxKeys});
+    }
+    this.validateOnDecrypt = validateOnDecrypt;
+    // validation functions for registered schemas, by document type
+    this.schemas = new Map();
+  }
+
+  /**
+   * Registers a JSON Schema for the content of documents of a particular
+   * type, i.e. documents whose `content.type` is `type` or is an array that
+   * includes it. The content of such documents is validated against the
+   * schema before it is encrypted (and, if `validateOnDecrypt` is set, after
+   * it is decrypted); invalid content raises a `ValidationError` whose
+   * `errors` list the failing paths as JSON Pointers. Registering another
+   * schema for the same type replaces the previous one.
+   *
+   * @param {String} type the document type.
+   * @param {Object} schema the JSON Schema (draft-07) for the content.
+   */
+  registerSchema({type, schema}) {
+    if(!(type && typeof type === 'string')) {
+      throw new TypeError('"type" must be a non-empty string.');
+    }
+    if(!(schema && typeof schema === 'object')) {
+      throw new TypeError('"schema" must be an object.');
+    }
+    if(!this._ajv) {
+      this._ajv = new Ajv({allErrors: true, jsonPointers: true});
+    }
+    this.schemas.set(type, this._ajv.compile(schema));
   }
 
   /**
@@ -38,13 +197,45 @@ export class DataHub {
    * instance will be indexed according to the given attribute, provided that
    * they contain that attribute.
    *
+   * Nested attributes may be indexed by path, using either a JSON Pointer
+   * (e.g. `/credentialSubject/id`) or dots (e.g. `credentialSubject.id`); in
+   * the dotted form, literal dots and backslashes in names may be escaped as
+   * `\.` and `\\`. Arrays met along a path are traversed. A name that is a
+   * top-level attribute of a document always names that attribute.
+   *
    * @param {Array|Object} attribute the attribute name or an array of
    *   attribute names.
    * @param {Boolean} [unique=false] `true` if attribute values should be
    *   considered unique, `false` if not.
+   * @param {Boolean} [compound=false] `true` to index an array of attribute
+   *   names together as a single compound attribute (e.g. to make the
+   *   combination of their values unique), `false` to index each one
+   *   separately; `find` uses a compound index automatically when an
+   *   `equals` filter includes all of its attributes.
+   * @param {String} [type] `date` to index dates for `range` queries or
+   *   `prefix` to index strings for `prefix` queries (instead of equality);
+   *   see `IndexHelper.ensureIndex`.
+   * @param {Array} [granularity] the bucket sizes for a `date` index, any of
+   *   `year`, `month`, `day` (the default is all three), and `hour`.
+   * @param {Number} [maxLength] the length of the longest prefix to index for
+   *   a `prefix` index.
+   * @param {Boolean} [persist=false] `true` to also store the index in the
+   *   data hub's configuration so that every DataHub instance created from it
+   *   uses the index, `false` not to; the configuration must list
+   *   `updateConfig` in its `capabilities`.
+   *
+   * @return {Promise|undefined} if `persist` is `true`, a Promise that
+   *   resolves once the index has been stored.
    */
-  ensureIndex({attribute, unique = false}) {
-    return this.indexHelper.ensureIndex({attribute, unique});
+  ensureIndex({
+    attribute, unique = false, compound = false, type, granularity, maxLength,
+    persist = false
+  }) {
+    const definitions = this._ensureIndex(
+      {attribute, unique, compound, type, granularity, maxLength});
+    if(persist) {
+      return this._persistIndexes({definitions});
+    }
   }
 
   /**
@@ -58,20 +249,13 @@ export class DataHub {
    */
   async insert({doc}) {
     const encrypted = await this._encrypt({doc, update: false});
-    // TODO: move axios usage to DataHubService?
-    try {
-      await axios.post(this.urls.documents, encrypted);
-      encrypted.content = doc.content;
-      return encrypted;
-    } catch(e) {
-      const {response = {}} = e;
-      if(response.status === 409) {
-        const err = new Error('Duplicate error.');
-        err.name = 'DuplicateError';
-        throw err;
-      }
-      throw e;
-    }
+    this._uncacheDocument({id: encrypted.id});
+    await this._request({
+      method: 'POST', url: this.urls.documents, data: encrypted,
+      errors: {409: DUPLICATE_ERROR}
+    });
+    encrypted.content = doc.content;
+    return encrypted;
   }
 
   /**
@@ -83,28 +267,169 @@ export class DataHub {
    * @return {Promise<Object>} resolves to the updated document.
    */
   async update({doc}) {
-    const encrypted = await this._encrypt({doc, update: true});
-    // TODO: move axios usage to DataHubService?
-    const url = this._getDocUrl(encrypted.id);
-    try {
-      await axios.post(url, encrypted);
-    } catch(e) {
-      const {response = {}} = e;
-      if(response.status === 409) {
-        const err = new Error('Conflict error.');
-        err.name = 'InvalidStateError';
-        throw err;
-      }
-      throw e;
-    }
+    return this._update({doc});
+  }
+
+  // helper that updates a doc as `update` does, using the given key resolver
+  // to wrap new CEKs for `ECDH-ES+A256KW` recipients
+  async _update({doc, keyResolver, validate}) {
+    const encrypted = await this._encrypt(
+      {doc, update: true, keyResolver, validate});
+    this._uncacheDocument({id: encrypted.id});
+    await this._request({
+      method: 'POST', url: this._getDocUrl(encrypted.id), data: encrypted,
+      errors: {409: CONFLICT_ERROR}
+    });
     encrypted.content = doc.content;
     return encrypted;
   }
 
+  /**
+   * Encrypts and inserts many documents into the data hub; see `insert`.
+   *
+   * If the data hub's configuration lists `batch` in its `capabilities`,
+   * the documents are sent in batches to its batch endpoint, otherwise each
+   * is sent separately. In either case, up to `concurrency` requests are made
+   * at once and a failure to insert one document does not prevent inserting
+   * the others.
+   *
+   * @param {Array} docs the documents to insert.
+   * @param {Number} [concurrency=4] the maximum number of requests (or
+   *   documents to encrypt) at once.
+   *
+   * @return {Promise<Array>} resolves to a result for each document, in the
+   *   same order, as `{id, ok, doc}` on success or `{id, ok, error}` on
+   *   failure, where `error.name` is e.g. `DuplicateError`.
+   */
+  async insertMany({docs, concurrency = 4}) {
+    return this._bulk({op: 'insert', items: docs, concurrency});
+  }
+
+  /**
+   * Encrypts and updates many documents in the data hub; see `update` and
+   * `insertMany`.
+   *
+   * @param {Array} docs the documents to update.
+   * @param {Number} [concurrency=4] the maximum number of requests (or
+   *   documents to encrypt) at once.
+   *
+   * @return {Promise<Array>} resolves to a result for each document, in the
+   *   same order, as `{id, ok, doc}` on success or `{id, ok, error}` on
+   *   failure, where `error.name` is e.g. `InvalidStateError`.
+   */
+  async updateMany({docs, concurrency = 4}) {
+    return this._bulk({op: 'update', items: docs, concurrency});
+  }
+
+  /**
+   * Gets many documents from the data hub; see `get` and `insertMany`.
+   *
+   * @param {Array} ids the IDs of the documents to get.
+   * @param {Number} [concurrency=4] the maximum number of requests (or
+   *   documents to decrypt) at once.
+   *
+   * @return {Promise<Array>} resolves to a result for each ID, in the same
+   *   order, as `{id, ok, doc}` on success or `{id, ok, error}` on failure,
+   *   where `error.name` is e.g. `NotFoundError`.
+   */
+  async getMany({ids, concurrency = 4}) {
+    return this._bulk({op: 'get', items: ids, concurrency});
+  }
+
+  /**
+   * Deletes many documents from the data hub; see `delete` and `insertMany`.
+   *
+   * @param {Array} ids the IDs of the documents to delete.
+   * @param {Number} [concurrency=4] the maximum number of requests at once.
+   *
+   * @return {Promise<Array>} resolves to a result for each ID, in the same
+   *   order, as `{id, ok, deleted}` on success, where `deleted` is `false` if
+   *   the document did not exist, or `{id, ok, error}` on failure.
+   */
+  async deleteMany({ids, concurrency = 4}) {
+    return this._bulk({op: 'delete', items: ids, concurrency});
+  }
+
+  /**
+   * Modifies a document using optimistic concurrency control. The document is
+   * fetched and decrypted, `mutate` is called with a copy of its content, and
+   * the result is written using the document's sequence number. If another
+   * client changed (or, when creating it, created) the document concurrently,
+   * it is fetched again and `mutate` is run again on the latest content,
+   * after a randomized, exponentially increasing delay.
+   *
+   * @param {String} id the ID of the document to modify.
+   * @param {Function} mutate a function that is called with
+   *   `{content, doc}`, where `doc` is the current document (or `null` if it
+   *   does not exist yet) and `content` is a copy of its content that may be
+   *   changed in place; it returns (or resolves to) the new content, or
+   *   `undefined` to use `content`. If the content is unchanged, nothing is
+   *   written.
+   * @param {Number} [maxRetries=5] the maximum number of times to retry after
+   *   a conflict before rejecting with an `InvalidStateError`.
+   * @param {Boolean} [createIfMissing=false] `true` to create the document if
+   *   it does not exist, calling `mutate` with empty content, `false` to
+   *   reject with a `NotFoundError`.
+   *
+   * @return {Promise<Object>} resolves to the modified document.
+   */
+  async modify({id, mutate, maxRetries = 5, createIfMissing = false}) {
+    if(typeof mutate !== 'function') {
+      throw new TypeError('"mutate" must be a function.');
+    }
+    if(!(Number.isInteger(maxRetries) && maxRetries >= 0)) {
+      throw new TypeError('"maxRetries" must be a non-negative integer.');
+    }
+    for(let retries = 0; ; ++retries) {
+      let doc = null;
+      try {
+        doc = await this.get({id});
+      } catch(e) {
+        if(!(e.name === 'NotFoundError' && createIfMissing)) {
+          throw e;
+        }
+      }
+      const previous = doc ? doc.content : {};
+      let content = JSON.parse(JSON.stringify(previous));
+      const result = await mutate({content, doc});
+      if(result !== undefined) {
+        content = result;
+      }
+      if(doc && JSON.stringify(content) === JSON.stringify(previous)) {
+        // nothing changed
+        return doc;
+      }
+      try {
+        if(doc) {
+          return await this.update({doc: {...doc, content}});
+        }
+        return await this.insert({doc: {id, content}});
+      } catch(e) {
+        // another client changed or created the doc concurrently
+        if(!['InvalidStateError', 'DuplicateError'].includes(e.name)) {
+          throw e;
+        }
+        // a new doc may instead duplicate a unique attribute of another doc
+        if(e.name === 'DuplicateError' && !await this._exists({id})) {
+          throw e;
+        }
+        if(retries === maxRetries) {
+          const err = new Error(
+            `Document "${id}" could not be modified after ${retries} ` +
+            'retries due to conflicts.');
+          err.name = 'InvalidStateError';
+          throw err;
+        }
+      }
+      await _backoff(retries);
+    }
+  }
+
   /**
    * Updates an index for the given document, without updating the document
-   * contents itself. An index entry will be updated and sent to the data
-   * hub storage system; its sequence number must match the document's current
+   * contents itself. An index entry (one for each HMAC, during an HMAC key
+   * rotation) will be updated and sent to the data hub storage system; its
+   * sequence number must match the document's current
    * sequence number or the update will be rejected with an
    * `InvalidStateError`. Recovery from this error requires fetching the
    * latest document and trying again.
@@ -117,21 +442,203 @@ export class DataHub {
    * @return {Promise} resolves once the operation completes.
    */
   async updateIndex({doc}) {
-    const entry = await this.indexHelper.createEntry({doc});
-    // TODO: move axios usage to DataHubService?
-    const url = this._getDocUrl(doc.id) + '/index';
-    try {
-      await axios.post(url, entry);
-    } catch(e) {
-      const {response = {}} = e;
-      if(response.status === 409) {
-        const err = new Error('Conflict error.');
-        err.name = 'InvalidStateError';
-        throw err;
+    for(const indexHelper of this.indexHelpers) {
+      const entry = await indexHelper.createEntry({doc});
+      await this._updateIndexEntry({id: doc.id, entry});
+    }
+  }
+
+  /**
+   * Rebuilds the index entries of the documents in the data hub so that
+   * indexes added via `ensureIndex` also cover the documents that were
+   * stored before they were added. Each document is decrypted and a new
+   * index entry is created for it; if the entry differs from the existing
+   * one, it is posted via the `updateIndex` route. If another client updated
+   * the document concurrently, it is fetched again and the reindex retried.
+   *
+   * Up to `concurrency` documents are processed at once, in order of their
+   * IDs. Every document before the `lastId` reported via `onProgress` has
+   * been processed, so an interrupted or aborted reindex can be resumed by
+   * passing it as `after`.
+   *
+   * The data hub's configuration must list `list` in its `capabilities`.
+   *
+   * @param {Array} [attributes] the names of the attributes whose indexes
+   *   need to be built; documents that have none of them are skipped
+   *   (default: reindex every document).
+   * @param {Number} [concurrency=4] the maximum number of documents to
+   *   process at once.
+   * @param {AbortSignal} [signal] a signal that aborts the reindex; documents
+   *   that are already being processed are finished and then the returned
+   *   Promise rejects with an `AbortError`.
+   * @param {String} [after] the ID of the document to resume after.
+   * @param {Function} [onProgress] a function that is called with
+   *   `{processed, reindexed, lastId}` after each document is processed.
+   *
+   * @return {Promise<Object>} resolves to `{processed, reindexed}` once the
+   *   reindex completes.
+   */
+  async reindex({
+    attributes, concurrency = 4, signal, after, onProgress
+  } = {}) {
+    if(attributes !== undefined && !(Array.isArray(attributes) &&
+      attributes.length > 0 && attributes.every(a => typeof a === 'string'))) {
+      throw new TypeError('"attributes" must be a non-empty array of strings.');
+    }
+    if(!(Number.isInteger(concurrency) && concurrency > 0)) {
+      throw new TypeError('"concurrency" must be a positive integer.');
+    }
+    this._assertCapabilities(['list']);
+    const query = attributes && {or: attributes.map(has => ({has}))};
+
+    let processed = 0;
+    let reindexed = 0;
+    let lastId = after;
+    // docs that are being processed, in order of their IDs
+    const pending = [];
+    await _forEachConcurrently(
+      this._iterateDocuments({after}), concurrency, async doc => {
+        if(signal && signal.aborted) {
+          const err = new Error('Reindex aborted.');
+          err.name = 'AbortError';
+          throw err;
+        }
+        const item = {id: doc.id, done: false};
+        pending.push(item);
+        if(await this._reindexDocument({doc, query})) {
+          reindexed++;
+        }
+        processed++;
+        item.done = true;
+        while(pending.length > 0 && pending[0].done) {
+          lastId = pending.shift().id;
+        }
+        if(onProgress) {
+          onProgress({processed, reindexed, lastId});
+        }
+      });
+    return {processed, reindexed};
+  }
+
+  // helper that posts an index entry for a doc
+  async _updateIndexEntry({id, entry}) {
+    await this._request({
+      method: 'POST', url: this._getDocUrl(id) + '/index', data: entry,
+      errors: {409: CONFLICT_ERROR}
+    });
+  }
+
+  /**
+   * Migrates the index entries of every document in the data hub that were
+   * created using an older blinding version to this instance's blinding
+   * version. Each document is decrypted and its index entry is rewritten via
+   * `updateIndex`; if another client updated the document concurrently, it is
+   * fetched again and the migration retried.
+   *
+   * Documents are processed in order of their IDs and documents that have
+   * already been migrated are skipped, so an interrupted migration can be
+   * resumed by calling this method again, optionally passing the ID of the
+   * last document reported via `onProgress` as `after`.
+   *
+   * The data hub's configuration must list `list` and `updateConfig` in its
+   * `capabilities`.
+   *
+   * @param {String} [after] the ID of the document to resume after.
+   * @param {Function} [onProgress] a function that is called with
+   *   `{processed, migrated, lastId}` after each document is processed.
+   *
+   * @return {Promise<Object>} resolves to `{processed, migrated}` once the
+   *   migration completes.
+   */
+  async migrateIndex({after, onProgress} = {}) {
+    this._assertCapabilities(['list', 'updateConfig']);
+    let processed = 0;
+    let migrated = 0;
+    for await (const doc of this._iterateDocuments({after})) {
+      if(await this._migrateDocumentIndex({doc})) {
+        migrated++;
+      }
+      processed++;
+      if(onProgress) {
+        onProgress({processed, migrated, lastId: doc.id});
+      }
+    }
+
+    // record the new blinding version in the data hub config, including for
+    // any indexes in it
+    const {blindingVersion} = this.indexHelper;
+    await this._updateConfig(config => {
+      const {indexes = []} = config;
+      const changes = {};
+      if(config.blindingVersion !== blindingVersion) {
+        changes.blindingVersion = blindingVersion;
+      }
+      if(!indexes.every(index => index.blindingVersion === blindingVersion)) {
+        changes.indexes = indexes.map(index => ({...index, blindingVersion}));
+      }
+      return Object.keys(changes).length > 0 ? changes : null;
+    });
+    this._legacyBlinding = false;
+
+    return {processed, migrated};
+  }
+
+  /**
+   * Completes an HMAC key rotation that was started by passing
+   * `hmac: [current, next]` to the constructor. Every document's index entry
+   * for `next` is brought up to date and its entries for the retired HMAC(s)
+   * are removed; as this changes the document's sequence number, its content
+   * is re-encrypted. If another client updated a document concurrently, it is
+   * fetched again and the finalization retried.
+   *
+   * Documents are processed in order of their IDs and documents without
+   * entries for a retired HMAC are skipped, so an interrupted finalization
+   * can be resumed by calling this method again, optionally passing the ID
+   * of the last document reported via `onProgress` as `after`.
+   *
+   * Once every document has been processed, the data hub's configuration is
+   * updated to reference `next` and this instance will only use `next` from
+   * then on. The data hub's configuration must list `list` and `updateConfig`
+   * in its `capabilities`.
+   *
+   * @param {String} [after] the ID of the document to resume after.
+   * @param {Function} [onProgress] a function that is called with
+   *   `{processed, finalized, lastId}` after each document is processed.
+   *
+   * @return {Promise<Object>} resolves to `{processed, finalized}` once the
+   *   finalization completes.
+   */
+  async finalizeHmacRotation({after, onProgress} = {}) {
+    const {indexHelpers} = this;
+    if(indexHelpers.length < 2) {
+      const err = new Error('No HMAC key rotation is in progress.');
+      err.name = 'InvalidStateError';
+      throw err;
+    }
+    this._assertCapabilities(['list', 'updateConfig']);
+    const indexHelper = indexHelpers[indexHelpers.length - 1];
+    const retired = indexHelpers.slice(0, -1).map(({hmac}) => hmac);
+
+    let processed = 0;
+    let finalized = 0;
+    for await (const doc of this._iterateDocuments({after})) {
+      if(await this._finalizeDocumentHmac({doc, indexHelper, retired})) {
+        finalized++;
+      }
+      processed++;
+      if(onProgress) {
+        onProgress({processed, finalized, lastId: doc.id});
       }
-      throw e;
     }
-    return;
+
+    // update data hub config to reference the new HMAC
+    const {hmac} = indexHelper;
+    await this._updateConfig(
+      () => ({hmac: {id: hmac.id, algorithm: hmac.algorithm}}));
+    this.indexHelpers = [indexHelper];
+    this.indexHelper = indexHelper;
+
+    return {processed, finalized};
   }
 
   /**
@@ -143,13 +650,14 @@ export class DataHub {
    *   and `false` if it did not exist.
    */
   async delete({id}) {
-    // TODO: move axios usage to DataHubService?
-    const url = this._getDocUrl(id);
+    this._uncacheDocument({id});
     try {
-      await axios.delete(url);
+      await this._request({
+        method: 'DELETE', url: this._getDocUrl(id),
+        errors: {404: NOT_FOUND_ERROR}
+      });
     } catch(e) {
-      const {response = {}} = e;
-      if(response.status === 404) {
+      if(e.name === 'NotFoundError') {
         return false;
       }
       throw e;
@@ -158,33 +666,260 @@ export class DataHub {
   }
 
   /**
-   * Gets a document from data hub storage by its ID.
+   * Delegates an authorization capability (zcap) for a single document or
+   * the whole data hub to another party, who may then invoke it by passing
+   * it as the `capability` of their own `DataHub` instance. The new
+   * capability's parent is the capability that this instance invokes; it is
+   * given an `Ed25519Signature2018` `capabilityDelegation` proof signed using
+   * `invocationSigner`, which must therefore be an Ed25519 key, and is stored
+   * by the data hub so that it can be verified when invoked. The data hub's
+   * configuration must list `authorizations` in its `capabilities`.
    *
-   * @param {String} id the ID of the document to get.
+   * @param {String} invoker the ID of the key (or DID) that may invoke the
+   *   capability.
+   * @param {String} [delegator] the ID of the key (or DID) that may delegate
+   *   the capability further (default: none).
+   * @param {String} [id] the ID of the document to delegate access to
+   *   (default: the whole data hub).
+   * @param {Array|String} [allowedAction='read'] the actions that may be
+   *   invoked, any of `read` and `write`.
+   * @param {Date|String} [expires] when the capability expires.
    *
-   * @return {Promise<Object>} resolves to the document.
+   * @return {Promise<Object>} resolves to the delegated capability; rejects
+   *   with a `TypeError` if this instance has no `invocationSigner` or if
+   *   its delegated `capability` was given only as an ID.
    */
-  async get({id}) {
-    // TODO: move axios usage to DataHubService?
-    const url = this._getDocUrl(id);
-    let response;
+  async delegate({invoker, delegator, id, allowedAction = 'read', expires}) {
+    if(!(invoker && typeof invoker === 'string')) {
+      throw new TypeError('"invoker" must be a string.');
+    }
+    if(delegator !== undefined && typeof delegator !== 'string') {
+      throw new TypeError('"delegator" must be a string.');
+    }
+    const allowedActions = Array.isArray(allowedAction) ?
+      allowedAction : [allowedAction];
+    if(!(allowedActions.length > 0 &&
+      allowedActions.every(action => typeof action === 'string'))) {
+      throw new TypeError(
+        '"allowedAction" must be a string or an array of strings.');
+    }
+    this._assertCapabilities(['authorizations']);
+    // Linked Data proofs require absolute URLs
+    const {capability, invocationSigner} = this;
+    let capabilityChain;
+    if(capability === this.urls.root) {
+      capabilityChain = [getAbsoluteUrl(capability)];
+    } else {
+      // a delegated parent's proof lists the capabilities it was delegated
+      // from; the last one may be embedded
+      const {proof} = typeof capability === 'string' ? {} : capability;
+      if(!(proof && Array.isArray(proof.capabilityChain))) {
+        throw new TypeError(
+          'A delegated "capability" must be given as an object with a ' +
+          'delegation proof to delegate it further.');
+      }
+      capabilityChain = [
+        ...proof.capabilityChain.map(c => typeof c === 'string' ? c : c.id),
+        capability.id
+      ];
+    }
+    const invocationTarget = getAbsoluteUrl(
+      id === undefined ? this.urls.root : this._getDocUrl(id));
+    let zcap = {
+      '@context': 'https://w3id.org/security/v2',
+      id: 'urn:zcap:' +
+        base64url.encode(crypto.getRandomValues(new Uint8Array(16))),
+      parentCapability: capabilityChain[capabilityChain.length - 1],
+      invocationTarget,
+      invoker,
+      allowedAction: allowedActions.length === 1 ?
+        allowedActions[0] : allowedActions
+    };
+    if(delegator !== undefined) {
+      zcap.delegator = delegator;
+    }
+    if(expires !== undefined) {
+      zcap.expires = new Date(expires).toISOString();
+    }
+    zcap = await signCapabilityDelegation(
+      {capability: zcap, capabilityChain, invocationSigner});
+    await this._request(
+      {method: 'POST', url: this.urls.authorizations, data: zcap});
+    return zcap;
+  }
+
+  /**
+   * Revokes an authorization capability (zcap) that was delegated via
+   * `delegate`. The data hub's configuration must list `authorizations` in
+   * its `capabilities`.
+   *
+   * @param {Object|String} capability the capability or its ID.
+   *
+   * @return {Promise<Boolean>} resolves to `true` if the capability was
+   *   revoked and `false` if the data hub does not have it.
+   */
+  async revoke({capability}) {
+    const zcapId = typeof capability === 'string' ?
+      capability : (capability && capability.id);
+    if(typeof zcapId !== 'string') {
+      throw new TypeError('"capability" must be a capability or its ID.');
+    }
+    this._assertCapabilities(['authorizations']);
     try {
-      response = await axios.get(url);
+      await this._request({
+        method: 'DELETE',
+        url: `${this.urls.authorizations}/${encodeURIComponent(zcapId)}`,
+        errors: {404: {name: 'NotFoundError', message: 'Capability not found.'}}
+      });
     } catch(e) {
-      response = e.response || {};
-      if(response.status === 404) {
-        const err = new Error('Document not found.');
-        err.name = 'NotFoundError';
-        throw err;
+      if(e.name === 'NotFoundError') {
+        return false;
       }
       throw e;
     }
-    return this._decrypt(response.data);
+    return true;
+  }
+
+  /**
+   * Shares a document with another party by adding a recipient for their key
+   * agreement key to the document's JWE. The document's existing content
+   * encryption key (CEK) is unwrapped using this instance's KEK and wrapped
+   * for the new recipient using `ECDH-ES+A256KW`; the CEK and the other
+   * recipients are not changed. As with `update`, the document's sequence
+   * number is incremented (and, as it is bound to the encrypted content, the
+   * content is re-encrypted using the same CEK); an `InvalidStateError` is
+   * thrown if the document was changed concurrently. If the document is
+   * already shared with the key, it is not changed.
+   *
+   * @param {String} id the ID of the document to share.
+   * @param {Object} recipientKey the recipient's key as `{id, publicKey}`,
+   *   where `publicKey` is an X25519 or P-256 JWK, e.g. a `KeyAgreementKey`.
+   *
+   * @return {Promise<Object>} resolves to the updated document.
+   */
+  async share({id, recipientKey}) {
+    if(!(recipientKey && typeof recipientKey.id === 'string' &&
+      recipientKey.publicKey && typeof recipientKey.publicKey === 'object')) {
+      throw new TypeError(
+        '"recipientKey" must be an object with "id" and "publicKey".');
+    }
+    const doc = await this.get({id});
+    const {recipients} = doc.jwe;
+    if(recipients.some(r => r.header && r.header.kid === recipientKey.id)) {
+      // already shared
+      return doc;
+    }
+    const keyResolver = async ({id}) => {
+      if(id === recipientKey.id) {
+        return recipientKey.publicKey;
+      }
+      if(typeof this.keyResolver !== 'function') {
+        throw new Error(`Cannot resolve the public key for "${id}".`);
+      }
+      return this.keyResolver({id});
+    };
+    return this._update({
+      doc: {
+        ...doc,
+        jwe: {
+          ...doc.jwe,
+          recipients: [
+            ...recipients,
+            {header: {alg: ECDH_ALG, kid: recipientKey.id}}
+          ]
+        }
+      },
+      keyResolver,
+      // the content is not changed
+      validate: false
+    });
+  }
+
+  /**
+   * Stops sharing a document with another party by removing the recipient
+   * for their key from the document's JWE. As the party may have kept the
+   * document's content encryption key (CEK), a new CEK is generated and the
+   * content is re-encrypted using it; the new CEK is wrapped for each
+   * remaining recipient, so `keyResolver` must be able to resolve the public
+   * keys of any remaining `ECDH-ES+A256KW` recipients. As with `update`, the
+   * document's sequence number is incremented and an `InvalidStateError` is
+   * thrown if the document was changed concurrently. If the document is not
+   * shared with the key, it is not changed.
+   *
+   * @param {String} id the ID of the document to unshare.
+   * @param {String} recipientKeyId the ID of the recipient's key.
+   *
+   * @return {Promise<Object>} resolves to the updated document.
+   */
+  async unshare({id, recipientKeyId}) {
+    if(typeof recipientKeyId !== 'string') {
+      throw new TypeError('"recipientKeyId" must be a string.');
+    }
+    if(recipientKeyId === this.kek.id) {
+      const err = new Error(
+        'The data hub\'s KEK cannot be removed from a document.');
+      err.name = 'NotAllowedError';
+      throw err;
+    }
+    const doc = await this.get({id});
+    const {recipients} = doc.jwe;
+    const isRecipient = r => r.header && r.header.kid === recipientKeyId;
+    if(!recipients.some(isRecipient)) {
+      // not shared
+      return doc;
+    }
+    // drop every wrapped key so that a new CEK is generated and wrapped for
+    // the remaining recipients
+    const remaining = recipients.filter(r => !isRecipient(r)).map(
+      ({header: {alg, kid}}) => ({header: {alg, kid}}));
+    return this._update({
+      doc: {...doc, jwe: {...doc.jwe, recipients: remaining}},
+      // the content is not changed
+      validate: false
+    });
+  }
+
+  /**
+   * Gets a document from data hub storage by its ID.
+   *
+   * If caching is enabled (see the `cache` constructor option), the document
+   * is still fetched, but a cached copy is revalidated using its ETag (if the
+   * data hub returned one) and is only decrypted again if its sequence number
+   * or encrypted content changed.
+   *
+   * @param {String} id the ID of the document to get.
+   *
+   * @return {Promise<Object>} resolves to the document.
+   */
+  async get({id}) {
+    const cached = this._documentCache && this._documentCache.get(id);
+    const response = await this._request({
+      url: this._getDocUrl(id),
+      headers: (cached && cached.etag) ?
+        {'if-none-match': cached.etag} : undefined,
+      errors: {404: NOT_FOUND_ERROR}
+    });
+    if(response.status === 304) {
+      return _copy(cached.doc);
+    }
+    return this._decrypt(response.data, {etag: response.headers.etag});
   }
 
   /**
-   * Finds documents based on their attributes. Currently, matching can be
-   * performed using an `equals` or a `has` filter (but not both at once).
+   * Removes every decrypted document and unwrapped content encryption key
+   * from the cache (see the `cache` constructor option).
+   */
+  clearCache() {
+    if(this._documentCache) {
+      this._documentCache.clear();
+      this._keyCache.clear();
+    }
+  }
+
+  /**
+   * Finds documents based on their attributes. Matching can be performed
+   * using `equals`, `has`, `range`, and `prefix` filters or a structured
+   * `query`.
    *
    * The `equals` filter is an object with key-value attribute pairs. Any
    * document that matches *all* key-value attribute pairs will be returned. If
@@ -195,25 +930,893 @@ export class DataHub {
    * array of such strings. If an array is used, then the results will only
    * contain documents that possess *all* of the attributes listed.
    *
+   * The `range` filter is an object mapping attribute names to objects with
+   * any of `gt`, `gte`, `lt`, and `lte` dates and the `prefix` filter is an
+   * object mapping attribute names to the strings their values must start
+   * with. The data hub matches these using `date` and `prefix` indexes (see
+   * `ensureIndex`), which may return more documents than match; these are
+   * removed once the documents have been decrypted.
+   *
+   * If more than one filter is given, documents must match all of them.
+   *
+   * A structured `query` combines `equals` and `has` filters using `and`,
+   * `or`, and `not` (e.g. `{and: [{has: 'expires'}, {not: {equals:
+   * {revoked: true}}}]}`). The data hub evaluates as much of the query as it
+   * can using the indexes and the rest is evaluated once the matching
+   * documents have been decrypted; use `explain` to see which parts are
+   * evaluated where. At least one `equals` or `has` filter that is indexed
+   * and not negated is required.
+   *
+   * Attribute names may be paths to nested attributes as described in
+   * `ensureIndex`.
+   *
    * @param {Object|Array} [equals] an object with key-value attribute pairs to
    *   match or an array of such objects.
    * @param {String|Array} [has] a string with an attribute name to match or an
    *   array of such strings.
+   * @param {Object} [range] an object mapping attribute names to date
+   *   ranges to match.
+   * @param {Object} [prefix] an object mapping attribute names to prefixes to
+   *   match.
+   * @param {Object} [query] a structured query.
+   * @param {Number} [limit] the maximum number of documents to return; the
+   *   documents are ordered by ID, so the ID of the last one can be passed as
+   *   `after` to get the next page.
+   * @param {String} [after] the ID of the document after which to match.
+   * @param {Boolean} [count=false] `true` to only count the matching documents
+   *   without fetching or decrypting them; the data hub must be able to
+   *   evaluate the filters entirely (see `explain`).
+   *
+   * @return {Promise<Array|Number>} resolves to the matching documents or,
+   *   if `count` is `true`, their number.
+   */
+  async find({
+    equals, has, range, prefix, query, limit, after, count = false
+  }) {
+    if(count) {
+      const {server, client} = this._plan({equals, has, range, prefix, query});
+      if(client) {
+        const err = new Error(
+          'Matching documents cannot be counted without decrypting them.');
+        err.name = 'NotSupportedError';
+        throw err;
+      }
+      const result = await this._query({...server, after, count});
+      return result.count;
+    }
+    if(limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+      throw new TypeError('"limit" must be a positive integer.');
+    }
+    const docs = [];
+    for await (const doc of this._findDocuments(
+      {equals, has, range, prefix, query, after, pageSize: limit})) {
+      docs.push(doc);
+      if(docs.length === limit) {
+        break;
+      }
+    }
+    return docs;
+  }
+
+  /**
+   * Finds documents like `find` but returns an async iterator that fetches
+   * and decrypts them a page at a time, e.g. for use with `for await`. The
+   * documents are ordered by ID. If no filter or query is given, every
+   * document in the data hub is returned; this requires the data hub's
+   * configuration to list `list` in its `capabilities`.
    *
-   * @return {Promise<Array>} resolves to the matching documents.
+   * @param {Object|Array} [equals] an `equals` filter; see `find`.
+   * @param {String|Array} [has] a `has` filter; see `find`.
+   * @param {Object} [range] a `range` filter; see `find`.
+   * @param {Object} [prefix] a `prefix` filter; see `find`.
+   * @param {Object} [query] a structured query; see `find`.
+   * @param {String} [after] the ID of the document after which to match.
+   * @param {Number} [pageSize=100] the number of documents to fetch at once.
+   * @param {Number} [concurrency=4] the maximum number of documents to decrypt
+   *   at once.
+   *
+   * @return {AsyncIterator} an iterator of the matching documents.
    */
-  async find({equals, has}) {
-    const query = await this.indexHelper.buildQuery({equals, has});
+  findIterator({
+    equals, has, range, prefix, query, after, pageSize = 100, concurrency = 4
+  } = {}) {
+    if(!(Number.isInteger(pageSize) && pageSize > 0)) {
+      throw new TypeError('"pageSize" must be a positive integer.');
+    }
+    if(!(Number.isInteger(concurrency) && concurrency > 0)) {
+      throw new TypeError('"concurrency" must be a positive integer.');
+    }
+    return this._findDocuments(
+      {equals, has, range, prefix, query, after, pageSize, concurrency});
+  }
 
-    // get results and decrypt them
-    // TODO: move axios usage to DataHubService?
-    const response = await axios.post(this.urls.query, query);
-    const docs = response.data;
-    return Promise.all(docs.map(this._decrypt.bind(this)));
+  /**
+   * Watches the data hub for changes to documents, e.g. those made by other
+   * clients, returning an async iterator of decrypted change events
+   * `{type, doc, cursor}` for use with `for await`. The `type` is `insert`,
+   * `update`, or `delete`; for a deletion, `doc` is `{id}`. Iterating stops
+   * by breaking out of the loop or aborting `signal`.
+   *
+   * The data hub's changes endpoint is polled for changes after a cursor,
+   * which is given as `since` and returned with each event, so that watching
+   * can be resumed later. If a request fails because the data hub cannot be
+   * reached (or it returns a 5xx status), it is retried with an increasing
+   * delay, resuming from the last cursor.
+   *
+   * An `equals` or `has` filter is blinded and matched by the data hub using
+   * its indexes, as with `find`; deletions are matched using the index
+   * entries the document had when it was deleted.
+   *
+   * The data hub's configuration must list `changes` in its `capabilities`.
+   *
+   * @param {Object|Array} [equals] an `equals` filter; see `find`.
+   * @param {String|Array} [has] a `has` filter; see `find`.
+   * @param {String} [since] the cursor after which to return changes; if not
+   *   given, only changes made after watching starts are returned.
+   * @param {Number} [interval=1000] the time to wait between polls when there
+   *   are no more changes, in milliseconds.
+   * @param {Number} [pageSize=100] the maximum number of changes to fetch at
+   *   once.
+   * @param {AbortSignal} [signal] a signal to stop watching; once aborted,
+   *   the iterator rejects with an `AbortError`.
+   *
+   * @return {AsyncIterator} an iterator of change events.
+   */
+  watch({
+    equals, has, since, interval = 1000, pageSize = 100, signal
+  } = {}) {
+    if(equals !== undefined && has !== undefined) {
+      throw new Error('Only one of "equals" or "has" may be defined at once.');
+    }
+    if(since !== undefined && typeof since !== 'string') {
+      throw new TypeError('"since" must be a string.');
+    }
+    if(!(Number.isInteger(interval) && interval >= 0)) {
+      throw new TypeError('"interval" must be a non-negative integer.');
+    }
+    if(!(Number.isInteger(pageSize) && pageSize > 0)) {
+      throw new TypeError('"pageSize" must be a positive integer.');
+    }
+    this._assertCapabilities(['changes']);
+    return this._watch({equals, has, since, interval, pageSize, signal});
   }
 
-  // helper that decrypts an encrypted doc to include its (cleartext) content
-  async _decrypt(encryptedDoc) {
+  /**
+   * Gets a page of changes to documents from the data hub's changes
+   * endpoint, as `watch` does when it polls; this can be used to catch up on
+   * changes since a cursor that was saved earlier.
+   *
+   * The data hub's configuration must list `changes` in its `capabilities`.
+   *
+   * @param {Object|Array} [equals] an `equals` filter; see `find`.
+   * @param {String|Array} [has] a `has` filter; see `find`.
+   * @param {String} [since] the cursor after which to return changes; if not
+   *   given, no changes are returned, only the latest cursor.
+   * @param {Number} [limit=100] the maximum number of changes to return.
+   *
+   * @return {Promise<Object>} resolves to `{changes, cursor}`, where
+   *   `changes` are decrypted change events as returned by `watch` and
+   *   `cursor` is the cursor to pass as `since` to get the next page; there
+   *   may be more changes if `limit` changes were returned.
+   */
+  async getChanges({equals, has, since, limit = 100} = {}) {
+    if(equals !== undefined && has !== undefined) {
+      throw new Error('Only one of "equals" or "has" may be defined at once.');
+    }
+    if(since !== undefined && typeof since !== 'string') {
+      throw new TypeError('"since" must be a string.');
+    }
+    if(!(Number.isInteger(limit) && limit > 0)) {
+      throw new TypeError('"limit" must be a positive integer.');
+    }
+    this._assertCapabilities(['changes']);
+    const filter = await this._buildChangesFilter({equals, has});
+    return this._getChanges({filter, since, limit});
+  }
+
+  /**
+   * Explains how a structured query will be evaluated by `find`: which part
+   * will be evaluated by the data hub using its indexes and which part will
+   * be evaluated after the documents it returns have been decrypted.
+   *
+   * @param {Object} query a structured query.
+   *
+   * @return {Object} an object `{server, client}` where `server` is an object
+   *   with an `equals` or `has` filter (or `null` if no part of the query can
+   *   be evaluated by the data hub) and `client` is a structured query (or
+   *   `null` if there is nothing left to evaluate).
+   */
+  explain({query}) {
+    return this.indexHelper.compileQuery({query});
+  }
+
+  /**
+   * Rotates the key encryption key (KEK) for every document in the data hub.
+   * Each document's content encryption key (CEK) is unwrapped using `oldKek`
+   * and wrapped using `newKek`; the CEK itself is not changed, but as the
+   * document's sequence number is bound to its encrypted content, the content
+   * is re-encrypted using the same CEK. Each document is saved using its
+   * sequence number; if another client updated it concurrently, it is fetched
+   * again and the rotation retried.
+   *
+   * Documents are processed in order of their IDs and documents that have
+   * already been rotated are skipped, so an interrupted rotation can be
+   * resumed by calling this method again, optionally passing the ID of the
+   * last document reported via `onProgress` as `after`.
+   *
+   * Once every document has been rotated, the data hub's configuration is
+   * updated to reference `newKek` and this instance will use `newKek` from
+   * then on. The data hub's configuration must list `list` and `updateConfig`
+   * in its `capabilities`.
+   *
+   * @param {Object} oldKek the KEK API for the KEK to retire.
+   * @param {Object} newKek the KEK API for the replacement KEK.
+   * @param {Boolean} [removeOld=true] `true` to remove each document's
+   *   recipient for `oldKek`, `false` to keep it.
+   * @param {String} [after] the ID of the document to resume after.
+   * @param {Function} [onProgress] a function that is called with
+   *   `{processed, rotated, lastId}` after each document is processed.
+   *
+   * @return {Promise<Object>} resolves to `{processed, rotated}` once the
+   *   rotation completes.
+   */
+  async rotateKek({oldKek, newKek, removeOld = true, after, onProgress}) {
+    if(!(oldKek && newKek && typeof oldKek.id === 'string' &&
+      typeof newKek.id === 'string')) {
+      throw new TypeError('"oldKek" and "newKek" must be KEK APIs.');
+    }
+    this._assertCapabilities(['list', 'updateConfig']);
+
+    let processed = 0;
+    let rotated = 0;
+    for await (const doc of this._iterateDocuments({after})) {
+      if(await this._rotateDocumentKek({doc, oldKek, newKek, removeOld})) {
+        rotated++;
+      }
+      processed++;
+      if(onProgress) {
+        onProgress({processed, rotated, lastId: doc.id});
+      }
+    }
+
+    // update data hub config to reference the new KEK
+    const kek = {id: newKek.id, algorithm: newKek.algorithm};
+    await this._updateConfig(() => ({kek}));
+    this.kek = newKek;
+
+    return {processed, rotated};
+  }
+
+  // helper that rotates the KEK for a single encrypted doc, retrying with
+  // the latest version of the doc on conflict; returns `true` if the doc was
+  // changed
+  async _rotateDocumentKek({doc, oldKek, newKek, removeOld}) {
+    while(true) {
+      const {recipients} = doc.jwe;
+      const oldRecipient = _findRecipient(recipients, oldKek);
+      if(!oldRecipient) {
+        // nothing to rotate (already rotated or not encrypted for `oldKek`)
+        return false;
+      }
+      let newRecipient = _findRecipient(recipients, newKek);
+      if(newRecipient && !removeOld) {
+        // already rotated
+        return false;
+      }
+
+      // wrap CEK for `newKek`
+      const {cipher, keyResolver} = this;
+      const updatedRecipients = recipients.filter(
+        r => r !== newRecipient && !(removeOld && r === oldRecipient));
+      if(!newRecipient) {
+        const cek = await oldKek.unwrap(
+          {wrappedKey: oldRecipient.encrypted_key});
+        newRecipient = {
+          header: {
+            alg: newKek.algorithm,
+            kid: newKek.id
+          },
+          encrypted_key: await newKek.wrap({key: cek})
+        };
+      }
+      updatedRecipients.push(newRecipient);
+
+      // re-encrypt content for the new sequence, reusing the CEK
+      const {id} = doc;
+      const sequence = doc.sequence + 1;
+      const content = await cipher.decryptObject({jwe: doc.jwe, kek: oldKek});
+      if(content === null) {
+        throw new Error('Decryption failed.');
+      }
+      const jwe = await cipher.encryptObject({
+        obj: content, kek: newKek, recipients: updatedRecipients, keyResolver,
+        protectedHeader: {id, sequence}
+      });
+      const updated = {
+        ...doc,
+        sequence,
+        indexed: (doc.indexed || []).map(e => ({...e, sequence})),
+        jwe
+      };
+      try {
+        await this._request({
+          method: 'POST', url: this._getDocUrl(doc.id), data: updated,
+          errors: {409: CONFLICT_ERROR}
+        });
+        return true;
+      } catch(e) {
+        if(e.name !== 'InvalidStateError') {
+          throw e;
+        }
+      }
+      // conflict; try again with the latest version of the doc
+      doc = await this._getEncrypted({id: doc.id});
+    }
+  }
+
+  // helper that migrates the index entry of a single encrypted doc, retrying
+  // with the latest version of the doc on conflict; returns `true` if the
+  // entry was changed
+  async _migrateDocumentIndex({doc}) {
+    while(true) {
+      const outdated = this.indexHelpers.some(indexHelper => {
+        const entry = _findEntry(doc.indexed, indexHelper.hmac);
+        return entry && indexHelper.getBlindingVersion({entry}) <
+          indexHelper.blindingVersion;
+      });
+      if(!outdated) {
+        // nothing to migrate
+        return false;
+      }
+      try {
+        await this.updateIndex(
+          {doc: await this._decrypt(doc, {validate: false})});
+        return true;
+      } catch(e) {
+        if(e.name !== 'InvalidStateError') {
+          throw e;
+        }
+      }
+      // conflict; try again with the latest version of the doc
+      doc = await this._getEncrypted({id: doc.id});
+    }
+  }
+
+  // helper that removes the entries for retired HMACs from a single encrypted
+  // doc and ensures that it has an entry for the new HMAC, retrying with the
+  // latest version of the doc on conflict; returns `true` if the doc was
+  // changed
+  async _finalizeDocumentHmac({doc, indexHelper, retired}) {
+    const isRetired = entry => retired.some(hmac => _findEntry([entry], hmac));
+    while(true) {
+      const {indexed = []} = doc;
+      if(!indexed.some(isRetired) && _findEntry(indexed, indexHelper.hmac)) {
+        // nothing to finalize
+        return false;
+      }
+      const decrypted = await this._decrypt(doc, {validate: false});
+      decrypted.indexed = indexed.filter(e => !isRetired(e));
+      const encrypted = await this._encrypt({
+        doc: decrypted, update: true, indexHelpers: [indexHelper],
+        validate: false
+      });
+      try {
+        await this._request({
+          method: 'POST', url: this._getDocUrl(doc.id), data: encrypted,
+          errors: {409: CONFLICT_ERROR}
+        });
+        return true;
+      } catch(e) {
+        if(e.name !== 'InvalidStateError') {
+          throw e;
+        }
+      }
+      // conflict; try again with the latest version of the doc
+      doc = await this._getEncrypted({id: doc.id});
+    }
+  }
+
+  // helper that ensures an index using every index helper; returns the
+  // index definitions
+  _ensureIndex(options) {
+    const [definitions] = this.indexHelpers.map(
+      indexHelper => indexHelper.ensureIndex(options));
+    return definitions;
+  }
+
+  // helper that rebuilds the index entry of a single encrypted doc, retrying
+  // with the latest version of the doc on conflict; returns `true` if the
+  // entry was changed
+  async _reindexDocument({doc, query}) {
+    while(true) {
+      const decrypted = await this._decrypt(doc, {validate: false});
+      if(query &&
+        !this.indexHelper.matchesQuery({content: decrypted.content, query})) {
+        return false;
+      }
+      try {
+        let updated = false;
+        for(const indexHelper of this.indexHelpers) {
+          const entry = await indexHelper.createEntry({doc: decrypted});
+          const existing = _findEntry(doc.indexed, indexHelper.hmac);
+          // skip entries that are already up to date
+          if(!(existing &&
+            JSON.stringify(existing) === JSON.stringify(entry))) {
+            await this._updateIndexEntry({id: doc.id, entry});
+            updated = true;
+          }
+        }
+        return updated;
+      } catch(e) {
+        if(e.name !== 'InvalidStateError') {
+          throw e;
+        }
+      }
+      // conflict; try again with the latest version of the doc
+      doc = await this._getEncrypted({id: doc.id});
+    }
+  }
+
+  // helper that checks whether a doc exists without decrypting it
+  async _exists({id}) {
+    try {
+      await this._getEncrypted({id});
+      return true;
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+      return false;
+    }
+  }
+
+  // helper that gets an encrypted doc by its ID
+  async _getEncrypted({id}) {
+    const response = await this._request(
+      {url: this._getDocUrl(id), errors: {404: NOT_FOUND_ERROR}});
+    return response.data;
+  }
+
+  // helper that stores index definitions in the data hub config, replacing
+  // any existing definitions of the same indexes
+  async _persistIndexes({definitions}) {
+    this._assertCapabilities(['updateConfig']);
+    await this._updateConfig(({indexes = []}) => {
+      const keys = definitions.map(_getIndexKey);
+      const unchanged = definitions.every(definition => indexes.some(
+        index => JSON.stringify(index) === JSON.stringify(definition)));
+      if(unchanged) {
+        return null;
+      }
+      return {
+        indexes: indexes
+          .filter(index => !keys.includes(_getIndexKey(index)))
+          .concat(definitions)
+      };
+    });
+    // ensure any indexes that other clients have stored
+    this.config.indexes.forEach(index => this._ensureIndex(index));
+  }
+
+  // helper that updates the data hub config; `getChanges` is called with the
+  // latest config and returns an object with the top-level fields to change,
+  // or `null` if there are none; if the config was changed concurrently, the
+  // latest config is fetched and the update tried again
+  async _updateConfig(getChanges) {
+    const {transport, invocationSigner, capability} = this;
+    const dataHubService = new DataHubService(
+      {urls: {base: this.baseUrl}, transport, invocationSigner, capability});
+    let {config} = this;
+    while(true) {
+      const changes = getChanges(config);
+      if(!changes) {
+        this.config = config;
+        return;
+      }
+      try {
+        await dataHubService.update({
+          id: config.id,
+          sequence: config.sequence,
+          patch: Object.keys(changes).map(key => ({
+            op: key in config ? 'replace' : 'add',
+            path: `/${key}`,
+            value: changes[key]
+          }))
+        });
+        this.config = {...config, ...changes, sequence: config.sequence + 1};
+        return;
+      } catch(e) {
+        if(e.name !== 'InvalidStateError') {
+          throw e;
+        }
+      }
+      // config changed concurrently; try again with the latest config
+      config = await dataHubService.get({id: config.id});
+    }
+  }
+
+  // helper that throws a `NotSupportedError` unless the data hub's
+  // configuration lists each of the given capabilities, i.e. unless its
+  // service supports the optional endpoints they stand for (see the README)
+  _assertCapabilities(names) {
+    const {capabilities = []} = this.config;
+    const missing = names.filter(name => !capabilities.includes(name));
+    if(missing.length > 0) {
+      const err = new Error(
+        'The data hub does not support this operation; its configuration ' +
+        `must list ${missing.map(n => `"${n}"`).join(' and ')} in its ` +
+        '"capabilities".');
+      err.name = 'NotSupportedError';
+      throw err;
+    }
+  }
+
+  // helper that performs a bulk operation on docs (`insert` or `update`) or
+  // doc IDs (`get` or `delete`), resolving to a result for each
+  async _bulk({op, items, concurrency}) {
+    if(!Array.isArray(items)) {
+      const name = (op === 'insert' || op === 'update') ? 'docs' : 'ids';
+      throw new TypeError(`"${name}" must be an array.`);
+    }
+    if(!(Number.isInteger(concurrency) && concurrency > 0)) {
+      throw new TypeError('"concurrency" must be a positive integer.');
+    }
+    const {capabilities = []} = this.config;
+    if(capabilities.includes('batch')) {
+      return this._batch({op, items, concurrency});
+    }
+    return _mapConcurrently(items, concurrency, async item => {
+      const id = (op === 'get' || op === 'delete') ? item : (item && item.id);
+      try {
+        if(op === 'delete') {
+          return {id, ok: true, deleted: await this.delete({id})};
+        }
+        const doc = await (op === 'get' ?
+          this.get({id}) : this[op]({doc: item}));
+        return {id, ok: true, doc};
+      } catch(error) {
+        return {id, ok: false, error};
+      }
+    });
+  }
+
+  // helper that performs a bulk operation using the data hub's batch
+  // endpoint; docs are encrypted (or decrypted) locally and sent (or
+  // received) in batches of up to `MAX_BATCH_SIZE` operations
+  async _batch({op, items, concurrency}) {
+    // prepare operations, encrypting any docs
+    const operations = await _mapConcurrently(
+      items, concurrency, async item => {
+        if(op === 'get' || op === 'delete') {
+          return {op, id: item};
+        }
+        try {
+          const doc = await this._encrypt({doc: item, update: op === 'update'});
+          return {op, id: doc.id, doc};
+        } catch(error) {
+          return {op, id: item && item.id, error};
+        }
+      });
+
+    const results = operations.map(({id, error}) => error ?
+      {id, ok: false, error} : null);
+    // indexes of the operations to send
+    const pending = [...operations.keys()].filter(i => !operations[i].error);
+    const batches = [];
+    for(let i = 0; i < pending.length; i += MAX_BATCH_SIZE) {
+      batches.push(pending.slice(i, i + MAX_BATCH_SIZE));
+    }
+    await _forEachConcurrently(batches, concurrency, async batch => {
+      let responses;
+      try {
+        const response = await this._request({
+          method: 'POST',
+          url: this.urls.batch,
+          capabilityAction: op === 'get' ? 'read' : 'write',
+          data: {
+            operations: batch.map(i => {
+              const {op, id, doc} = operations[i];
+              return doc ? {op, id, doc} : {op, id};
+            })
+          }
+        });
+        ({results: responses} = response.data);
+      } catch(error) {
+        for(const i of batch) {
+          results[i] = {id: operations[i].id, ok: false, error};
+        }
+        return;
+      }
+      await Promise.all(batch.map(async (i, j) => {
+        results[i] = await this._getBatchResult(
+          {operation: operations[i], item: items[i], response: responses[j]});
+      }));
+    });
+    return results;
+  }
+
+  // helper that gets the result of a single batch operation from its
+  // response, `{status, doc}`, mapping errors as the single doc methods do
+  async _getBatchResult({operation: {op, id, doc}, item, response}) {
+    const {status, doc: encrypted} = response || {};
+    if(op !== 'get') {
+      this._uncacheDocument({id});
+    }
+    if(op === 'delete' && status === 404) {
+      return {id, ok: true, deleted: false};
+    }
+    const error = getError({status, errors: {
+      insert: {409: DUPLICATE_ERROR},
+      update: {409: CONFLICT_ERROR},
+      get: {404: NOT_FOUND_ERROR},
+      delete: {}
+    }[op]});
+    if(error) {
+      return {id, ok: false, error};
+    }
+    if(op === 'delete') {
+      return {id, ok: true, deleted: true};
+    }
+    if(op === 'get') {
+      try {
+        return {id, ok: true, doc: await this._decrypt(encrypted)};
+      } catch(error) {
+        return {id, ok: false, error};
+      }
+    }
+    return {id, ok: true, doc: {...doc, content: item.content}};
+  }
+
+  // helper that sends a request using the data hub's transport, signing it
+  // if there is an invocation signer; see `request` in `transports/request.js`
+  async _request(options) {
+    const {transport, invocationSigner, capability} = this;
+    return request({transport, invocationSigner, capability, ...options});
+  }
+
+  // helper that plans how to evaluate the filters given to `find`; returns
+  // `{server, client}` as `explain` does, except that `server` is never `null`
+  _plan({equals, has, range, prefix, query}) {
+    const filters = Object.entries({equals, has, range, prefix})
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => ({[key]: value}));
+    if(query !== undefined) {
+      if(filters.length > 0) {
+        throw new Error(
+          '"query" may not be used with "equals", "has", "range", or ' +
+          '"prefix".');
+      }
+    } else if(filters.length > 1 || range !== undefined ||
+      prefix !== undefined) {
+      query = {and: filters};
+    } else {
+      return {server: {equals, has}, client: null};
+    }
+
+    const plan = this.explain({query});
+    if(!plan.server) {
+      const err = new Error(
+        'Query must include an "equals" or "has" filter that is indexed and ' +
+        'not negated.');
+      err.name = 'NotSupportedError';
+      throw err;
+    }
+    return plan;
+  }
+
+  // helper that finds and decrypts docs a page at a time; if no `pageSize`
+  // is given, every matching doc is fetched at once
+  async* _findDocuments({
+    equals, has, range, prefix, query, after, pageSize, concurrency = Infinity
+  }) {
+    if([equals, has, range, prefix, query].every(f => f === undefined)) {
+      yield* this._listDocuments({after, pageSize, concurrency});
+      return;
+    }
+    const {server, client} = this._plan({equals, has, range, prefix, query});
+    while(true) {
+      const docs = await this._query({...server, after, limit: pageSize});
+      const decrypted = await _mapConcurrently(
+        docs, Math.min(concurrency, docs.length) || 1,
+        doc => this._decrypt(doc));
+      for(const doc of decrypted) {
+        if(!client || this.indexHelper.matchesQuery(
+          {content: doc.content, query: client})) {
+          yield doc;
+        }
+      }
+      if(pageSize === undefined || docs.length < pageSize) {
+        return;
+      }
+      after = docs[docs.length - 1].id;
+    }
+  }
+
+  // helper that decrypts every doc in the data hub a page at a time, in order
+  // of their IDs
+  async* _listDocuments({after, pageSize = 100, concurrency}) {
+    this._assertCapabilities(['list']);
+    const decrypt = docs => _mapConcurrently(
+      docs, Math.min(concurrency, docs.length) || 1,
+      doc => this._decrypt(doc));
+    let page = [];
+    for await (const doc of this._iterateDocuments({after, limit: pageSize})) {
+      page.push(doc);
+      if(page.length === pageSize) {
+        yield* await decrypt(page);
+        page = [];
+      }
+    }
+    yield* await decrypt(page);
+  }
+
+  // helper that queries the data hub using an `equals` or `has` filter;
+  // resolves to the response data, i.e. the matching encrypted docs or, if
+  // `count` is set, `{count}`; during an HMAC key rotation, docs may only
+  // have been indexed using one of the HMACs, and, until a data hub records
+  // its blinding version, docs may only have been indexed using version 1,
+  // so the data hub is queried using each and the results are merged
+  async _query({equals, has, after, limit, count}) {
+    const sources = this._getQuerySources();
+    if(sources.length === 1) {
+      return this._queryIndex(
+        {...sources[0], equals, has, after, limit, count});
+    }
+    // counts cannot be merged as docs may be indexed using more than one
+    // source, so merge the matching docs instead
+    const results = await Promise.all(sources.map(
+      ({indexHelper, version}) => this._queryIndex({
+        indexHelper, version, equals, has, after,
+        limit: count ? undefined : limit,
+        optional: indexHelper !== this.indexHelper
+      })));
+    const docs = new Map();
+    for(const result of results) {
+      for(const doc of result) {
+        docs.set(doc.id, doc);
+      }
+    }
+    const merged = [...docs.values()].sort(
+      (a, b) => a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+    if(count) {
+      return {count: merged.length};
+    }
+    // each result holds the first `limit` matches after `after` for its
+    // source, so the first `limit` merged docs are the first `limit` matches
+    // overall
+    return limit === undefined ? merged : merged.slice(0, limit);
+  }
+
+  // helper that gets the sources to query the data hub's indexes with:
+  // `{indexHelper, version}` for each HMAC and, until the data hub records
+  // its blinding version, each blinding version
+  _getQuerySources() {
+    const sources = [];
+    for(const indexHelper of this.indexHelpers) {
+      sources.push({indexHelper});
+      if(this._legacyBlinding) {
+        sources.push({indexHelper, version: 1});
+      }
+    }
+    return sources;
+  }
+
+  // helper that queries the data hub using the index for a single HMAC and
+  // blinding version (default: the index helper's); if `optional` is set and
+  // no docs have been indexed using the HMAC yet, nothing matches
+  async _queryIndex({
+    indexHelper, version, equals, has, after, limit, count, optional
+  }) {
+    const query = await indexHelper.buildQuery(
+      {equals, has, version, after, limit, count});
+    try {
+      const response = await this._request({
+        method: 'POST', url: this.urls.query, data: query,
+        capabilityAction: 'read',
+        errors: {404: {name: 'NotFoundError', message: 'Index not found.'}}
+      });
+      return response.data;
+    } catch(e) {
+      if(!(optional && e.name === 'NotFoundError')) {
+        throw e;
+      }
+      return count ? {count: 0} : [];
+    }
+  }
+
+  // helper that pages through every encrypted doc in the data hub in order
+  // of their IDs, starting after the doc with the given ID (if any)
+  async* _iterateDocuments({after, limit = 100} = {}) {
+    while(true) {
+      const response = await this._request(
+        {url: this.urls.documents, params: {after, limit}});
+      const docs = response.data;
+      yield* docs;
+      if(docs.length < limit) {
+        return;
+      }
+      after = docs[docs.length - 1].id;
+    }
+  }
+
+  // helper that polls the changes endpoint and yields decrypted change events
+  async* _watch({equals, has, since, interval, pageSize, signal}) {
+    const filter = await this._buildChangesFilter({equals, has});
+    let cursor = since;
+    let retries = 0;
+    while(true) {
+      _assertNotAborted(signal);
+      let page;
+      try {
+        page = await this._getChanges({filter, since: cursor, limit: pageSize});
+      } catch(e) {
+        // reconnect if the data hub could not be reached or is unavailable
+        if(!(e.name === 'NetworkError' ||
+          (e.name === 'HTTPError' && e.status >= 500))) {
+          throw e;
+        }
+        const delay = Math.min(
+          MIN_RECONNECT_DELAY * Math.pow(2, retries++), MAX_RECONNECT_DELAY);
+        await _wait({delay, signal});
+        continue;
+      }
+      retries = 0;
+      const {changes} = page;
+      for(const change of changes) {
+        _assertNotAborted(signal);
+        yield change;
+        cursor = change.cursor;
+      }
+      cursor = page.cursor;
+      if(changes.length < pageSize) {
+        await _wait({delay: interval, signal});
+      }
+    }
+  }
+
+  // helper that builds the blinded filter sent to the changes endpoint for
+  // an `equals` or `has` filter, if any; as with `_query`, docs may be
+  // indexed using any of the query sources, so if there is more than one,
+  // the filter is `{or}` with a query for each, which matches a change if
+  // any of them does
+  async _buildChangesFilter({equals, has}) {
+    if(equals === undefined && has === undefined) {
+      return {};
+    }
+    const queries = await Promise.all(this._getQuerySources().map(
+      ({indexHelper, version}) =>
+        indexHelper.buildQuery({equals, has, version})));
+    return queries.length === 1 ? queries[0] : {or: queries};
+  }
+
+  // helper that gets a page of changes from the changes endpoint, given a
+  // blinded filter, and decrypts them
+  async _getChanges({filter, since, limit}) {
+    const response = await this._request({
+      method: 'POST', url: this.urls.changes,
+      data: {...filter, since, limit},
+      capabilityAction: 'read'
+    });
+    const {changes, cursor} = response.data;
+    const events = [];
+    for(const {type, id, doc, cursor: changeCursor} of changes) {
+      events.push({
+        type,
+        doc: type === 'delete' ? {id} : await this._decrypt(doc),
+        cursor: changeCursor
+      });
+    }
+    // the data hub returns the cursor of the last change it checked even if
+    // nothing matched
+    const last = events.length > 0 ? events[events.length - 1].cursor : since;
+    return {changes: events, cursor: cursor || last};
+  }
+
+  // helper that decrypts an encrypted doc to include its (cleartext) content;
+  // if caching is enabled, the decrypted doc is cached along with its `etag`
+  // (if given) and a cached doc is used if its encrypted content is the same
+  async _decrypt(
+    encryptedDoc, {etag, validate = this.validateOnDecrypt} = {}) {
     // validate `encryptedDoc`
     if(!(encryptedDoc && typeof encryptedDoc === 'object' &&
       typeof encryptedDoc.id === 'string' &&
@@ -222,25 +1825,88 @@ export class DataHub {
         '"encryptedDoc" must be an object with "id" and "jwe" properties.');
     }
 
-    // decrypt doc content
-    const {cipher, kek} = this;
     const {jwe} = encryptedDoc;
+    const cache = this._documentCache;
+    const cached = cache && cache.get(encryptedDoc.id);
+    if(cached && cached.doc.sequence === encryptedDoc.sequence &&
+      cached.doc.jwe.tag === jwe.tag) {
+      const doc = {...encryptedDoc, content: _copy(cached.doc.content)};
+      if(validate) {
+        this._validate({doc});
+      }
+      // keep the ETag from `get` if the doc was found some other way
+      cache.set(doc.id,
+        {doc: _copy(doc), etag: etag === undefined ? cached.etag : etag});
+      return doc;
+    }
+
+    // enforce the data hub's cipher policy
+    const {cipher} = this;
+    const kek = this._getKek();
+    const header = cipher.getProtectedHeader({jwe});
+    const {enc} = header;
+    if(this.strictCipher) {
+      if(enc !== cipher.algorithm.JWE_ENC) {
+        const err = new Error(
+          `Encryption algorithm "${enc}" is not allowed for this data hub.`);
+        err.name = 'NotAllowedError';
+        throw err;
+      }
+    }
+
+    // ensure the JWE was encrypted for this doc ID and sequence; if the JWE
+    // is tampered with instead, decryption below will fail; JWEs written
+    // before these parameters were bound are accepted as-is unless
+    // `requireBoundJwe` is set; this does not detect a whole doc being
+    // replaced by an older version of itself
+    if('id' in header || 'sequence' in header) {
+      if(header.id !== encryptedDoc.id ||
+        header.sequence !== encryptedDoc.sequence) {
+        const err = new Error(
+          'Document "id" or "sequence" does not match its encrypted content.');
+        err.name = 'IntegrityError';
+        throw err;
+      }
+    } else if(this.requireBoundJwe) {
+      const err = new Error(
+        'Document "id" and "sequence" are not bound to its encrypted content.');
+      err.name = 'IntegrityError';
+      throw err;
+    }
+
+    // decrypt doc content
     const content = await cipher.decryptObject({jwe, kek});
     if(content === null) {
       throw new Error('Decryption failed.');
     }
-    return {...encryptedDoc, content};
+    const doc = {...encryptedDoc, content};
+    if(validate) {
+      this._validate({doc});
+    }
+    if(cache) {
+      cache.set(doc.id, {doc: _copy(doc), etag});
+    }
+    return doc;
   }
 
   // helper that creates an encrypted doc using a doc's (clear) content
   // and blinding any attributes for indexing
-  async _encrypt({doc, update}) {
+  async _encrypt({
+    doc, update, indexHelpers = this.indexHelpers,
+    keyResolver = this.keyResolver, validate = true
+  }) {
     if(!(doc && typeof doc === 'object' && typeof doc.id === 'string' &&
       doc.content && typeof doc.content === 'object' &&
       !Array.isArray(doc.content))) {
       throw new TypeError(
         '"doc" must be an object with value "id" and "content" properties.');
     }
+    if(validate) {
+      this._validate({doc});
+    }
+    if(this._legacyBlinding) {
+      await this._assertUniqueLegacy({doc, indexHelpers});
+    }
 
     const encrypted = {...doc};
 
@@ -259,7 +1925,8 @@ export class DataHub {
       encrypted.sequence = 0;
     }
 
-    const {cipher, kek, indexHelper} = this;
+    const {cipher} = this;
+    const kek = this._getKek();
 
     // update existing recipients
     let recipients;
@@ -268,8 +1935,7 @@ export class DataHub {
         throw new TypeError('Invalid existing "recipients" in JWE.');
       }
       recipients = encrypted.jwe.recipients.slice();
-      const recipient = recipients.find(
-        r => r.header.kid === kek.id && r.header.alg === kek.algorithm);
+      const recipient = _findRecipient(recipients, kek);
       if(!recipient) {
         recipients.push({
           header: {
@@ -282,8 +1948,12 @@ export class DataHub {
 
     // update indexed entries and jwe
     const [indexed, jwe] = await Promise.all([
-      indexHelper.updateEntry({doc: encrypted}),
-      cipher.encryptObject({obj: doc.content, kek, recipients})
+      _updateEntries({doc: encrypted, indexHelpers}),
+      cipher.encryptObject({
+        obj: doc.content, kek, recipients, keyResolver,
+        // bind doc ID and sequence to prevent swapping or rolling back JWEs
+        protectedHeader: {id: encrypted.id, sequence: encrypted.sequence}
+      })
     ]);
 
     delete encrypted.content;
@@ -292,8 +1962,207 @@ export class DataHub {
     return encrypted;
   }
 
+  // helper that throws a `DuplicateError` if another doc's version 1 index
+  // entries share a unique attribute value with a doc; the data hub only
+  // enforces uniqueness among entries that use the same blinding version, so
+  // this is checked until it records its blinding version
+  async _assertUniqueLegacy({doc, indexHelpers}) {
+    for(const indexHelper of indexHelpers) {
+      const equals = indexHelper.getUniqueFilters({content: doc.content});
+      if(equals.length === 0) {
+        continue;
+      }
+      const docs = await this._queryIndex({
+        indexHelper, version: 1, equals,
+        optional: indexHelper !== this.indexHelper
+      });
+      if(docs.some(({id}) => id !== doc.id)) {
+        const err = new Error(DUPLICATE_ERROR.message);
+        err.name = DUPLICATE_ERROR.name;
+        throw err;
+      }
+    }
+  }
+
+  // helper that gets the KEK API to use; if caching is enabled, it caches
+  // the CEKs that it wraps and unwraps
+  _getKek() {
+    const {kek, _keyCache: cache} = this;
+    if(!cache) {
+      return kek;
+    }
+    // wrapped keys are only unique per KEK
+    const getKey = wrappedKey => `${kek.id} ${wrappedKey}`;
+    return {
+      id: kek.id,
+      algorithm: kek.algorithm,
+      async wrap({key}) {
+        const wrappedKey = await kek.wrap({key});
+        cache.set(getKey(wrappedKey), key);
+        return wrappedKey;
+      },
+      async unwrap({wrappedKey}) {
+        let key = cache.get(getKey(wrappedKey));
+        if(!key) {
+          key = await kek.unwrap({wrappedKey});
+          if(key) {
+            cache.set(getKey(wrappedKey), key);
+          }
+        }
+        return key;
+      }
+    };
+  }
+
+  // helper that validates a doc's content against the schemas registered for
+  // its type(s); throws a `ValidationError` that lists the failing paths
+  _validate({doc}) {
+    const {type} = doc.content;
+    const types = Array.isArray(type) ? type : [type];
+    const errors = [];
+    for(const t of types) {
+      const validate = this.schemas.get(t);
+      if(validate && !validate(doc.content)) {
+        errors.push(...validate.errors.map(_toValidationError));
+      }
+    }
+    if(errors.length > 0) {
+      const paths = [...new Set(errors.map(({path}) => path || '(root)'))];
+      const err = new Error(
+        `Document "${doc.id}" content is invalid at: ${paths.join(', ')}.`);
+      err.name = 'ValidationError';
+      err.errors = errors;
+      throw err;
+    }
+  }
+
+  // helper that removes a doc from the cache, if any
+  _uncacheDocument({id}) {
+    if(this._documentCache) {
+      this._documentCache.delete(id);
+    }
+  }
+
   // helper that gets a document URL from a document ID
   _getDocUrl(id) {
     return `${this.urls.documents}/${encodeURIComponent(id)}`;
   }
 }
+
+function _findRecipient(recipients, kek) {
+  return recipients.find(
+    r => r.header && r.header.kid === kek.id && r.header.alg === kek.algorithm);
+}
+
+// gets a key that identifies the index an index definition is for
+function _getIndexKey({attribute, type = null}) {
+  return JSON.stringify([type, attribute]);
+}
+
+// calls `fn` with each item of an (async) iterable, with at most
+// `concurrency` calls pending at once; stops at the first error and rejects
+// with it once any pending calls have settled
+async function _forEachConcurrently(iterable, concurrency, fn) {
+  const iterator = iterable[Symbol.asyncIterator] ?
+    iterable[Symbol.asyncIterator]() : iterable[Symbol.iterator]();
+  let error;
+  const next = async () => {
+    while(!error) {
+      try {
+        const {value, done} = await iterator.next();
+        if(done || error) {
+          return;
+        }
+        await fn(value);
+      } catch(e) {
+        error = error || e;
+      }
+    }
+  };
+  const workers = [];
+  for(let i = 0; i < concurrency; ++i) {
+    workers.push(next());
+  }
+  await Promise.all(workers);
+  if(error) {
+    if(iterator.return) {
+      await iterator.return();
+    }
+    throw error;
+  }
+}
+
+// finds the index entry for an HMAC in an `indexed` array
+function _findEntry(indexed = [], hmac) {
+  return indexed.find(
+    e => e.hmac.id === hmac.id && e.hmac.algorithm === hmac.algorithm);
+}
+
+// updates the index entries of a doc using each of the given index helpers
+async function _updateEntries({doc, indexHelpers}) {
+  let {indexed} = doc;
+  for(const indexHelper of indexHelpers) {
+    indexed = await indexHelper.updateEntry({doc: {...doc, indexed}});
+  }
+  return indexed;
+}
+
+// maps each item of an array using `fn`, with at most `concurrency` calls
+// pending at once
+async function _mapConcurrently(items, concurrency, fn) {
+  const results = new Array(items.length);
+  await _forEachConcurrently(
+    items.entries(), concurrency,
+    async ([i, item]) => results[i] = await fn(item));
+  return results;
+}
+
+// waits before retrying after a conflict, for a random time of up to an
+// exponentially increasing maximum
+async function _backoff(retries) {
+  const maxDelay = Math.min(
+    MIN_RETRY_DELAY * Math.pow(2, retries), MAX_RETRY_DELAY);
+  await new Promise(resolve => setTimeout(resolve, Math.random() * maxDelay));
+}
+
+// throws an `AbortError` if the given signal (if any) has been aborted
+function _assertNotAborted(signal) {
+  if(signal && signal.aborted) {
+    const err = new Error('Watch aborted.');
+    err.name = 'AbortError';
+    throw err;
+  }
+}
+
+// waits for the given delay, in milliseconds, or until the given signal (if
+// any) is aborted
+async function _wait({delay, signal}) {
+  await new Promise(resolve => {
+    const timer = setTimeout(done, delay);
+    function done() {
+      clearTimeout(timer);
+      if(signal) {
+        signal.removeEventListener('abort', done);
+      }
+      resolve();
+    }
+    if(signal) {
+      signal.addEventListener('abort', done);
+    }
+  });
+  _assertNotAborted(signal);
+}
+
+// copies a JSON value
+function _copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// converts an ajv error to `{path, message}` where `path` is a JSON Pointer to
+// the failing (or missing or unexpected) property
+function _toValidationError({dataPath, params, message}) {
+  const name = params.missingProperty || params.additionalProperty;
+  const path = name === undefined ? dataPath :
+    `${dataPath}/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+  return {path, message};
+}
@@ -3,17 +3,42 @@
  */
 'use strict';
 
-import axios from 'axios';
+import {AxiosTransport} from './transports/AxiosTransport.js';
+import {Cipher} from './Cipher.js';
+import {request} from './transports/request.js';
 
 const headers = {Accept: 'application/ld+json, application/json'};
 
 export class DataHubService {
+  /**
+   * Creates a new DataHubService instance.
+   *
+   * @param {Object} [urls] the service's URLs, `{base}`.
+   * @param {Object} [transport] the transport to send requests with, e.g. a
+   *   `FetchTransport` (default: a new `AxiosTransport`).
+   * @param {Object} [invocationSigner] a signer API with an `id` and a
+   *   `sign({data})` function to sign every request with using HTTP
+   *   Signatures, invoking the root capability of its target: the ID of the
+   *   root capability for a data hub is the data hub's URL and for the service
+   *   it is the base URL.
+   * @param {Object|String} [capability] the authorization capability (zcap)
+   *   to invoke, or its ID, for requests to a data hub, e.g. one delegated
+   *   via `DataHub.delegate` (default: the data hub's root capability).
+   *
+   * @return {DataHubService}.
+   */
   constructor({
     urls = {
       base: '/data-hubs'
-    }
+    },
+    transport = new AxiosTransport(),
+    invocationSigner,
+    capability
   } = {}) {
     this.config = {urls};
+    this.transport = transport;
+    this.invocationSigner = invocationSigner;
+    this.capability = capability;
   }
 
   /**
@@ -24,7 +49,11 @@ export class DataHubService {
    * @param {String} options.url the url to post the configuration to.
    * @see https://github.com/digitalbazaar/bedrock-data-hub-storage
    *
-   * @param {String} options.config the data hub's configuration.
+   * @param {String} options.config the data hub's configuration; it may
+   *   include a `cipher` field such as `{version: 'fips'}` to require that
+   *   every document in the data hub be encrypted using that cipher version,
+   *   and an `indexes` field with index definitions as returned by
+   *   `IndexHelper.ensureIndex`.
    *
    * @return {Object} the configuration for the newly created data hub.
    */
@@ -36,7 +65,24 @@ export class DataHubService {
     if(!(config.controller && typeof config.controller === 'string')) {
       throw new TypeError('"controller" must be a string.');
     }
-    const response = await axios.post(url, config, {headers});
+    if(config.cipher !== undefined) {
+      if(!(config.cipher && typeof config.cipher === 'object' &&
+        typeof config.cipher.version === 'string')) {
+        throw new TypeError(
+          '"cipher" must be an object with a "version" string.');
+      }
+      // ensure version is supported
+      new Cipher({version: config.cipher.version});
+    }
+    if(config.indexes !== undefined) {
+      if(!(Array.isArray(config.indexes) && config.indexes.every(
+        index => index && typeof index === 'object' && 'attribute' in index))) {
+        throw new TypeError(
+          '"indexes" must be an array of objects with an "attribute".');
+      }
+    }
+    const response = await this._request(
+      {method: 'POST', url, headers, data: config, capability: url});
     return response.data;
   }
 
@@ -46,11 +92,17 @@ export class DataHubService {
    * @param {Object} options
    * @param {String} options.baseUrl the base baseUrl.
    * @param {String} options.id the data hub's ID.
+   * @param {Object|String} [options.capability] the capability to invoke
+   *   (default: this instance's capability or the data hub's root capability).
    *
    * @return {Object} the configuration for the data hub.
    */
-  async get({baseUrl = this.config.urls.base, id}) {
-    const response = await axios.get(baseUrl + '/' + id, {headers});
+  async get({
+    baseUrl = this.config.urls.base, id, capability = this.capability
+  }) {
+    const url = baseUrl + '/' + id;
+    const response = await this._request(
+      {url, headers, capability: capability || url});
     return response.data;
   }
 
@@ -82,8 +134,10 @@ export class DataHubService {
    */
   async getAll(
     {baseUrl = this.config.urls.base, controller, primary, after, limit}) {
-    const response = await axios.get(baseUrl, {
-      params: {controller, primary, after, limit}, headers});
+    const response = await this._request({
+      url: baseUrl, params: {controller, primary, after, limit}, headers,
+      capability: baseUrl
+    });
     return response.data;
   }
 
@@ -98,13 +152,25 @@ export class DataHubService {
    * @param {String} options.id an data hub's ID.
    * @param {Number} options.sequence a data hub config's sequence number.
    * @param {Array<Object>} options.patch a JSON patch per RFC6902.
+   * @param {Object|String} [options.capability] the capability to invoke
+   *   (default: this instance's capability or the data hub's root capability).
    *
    * @return {Void}
+   *
+   * @throws {InvalidStateError} if `sequence` does not match the data hub
+   *   config's current sequence number.
    */
-  async update({baseUrl = this.config.urls.base, id, sequence, patch}) {
+  async update({
+    baseUrl = this.config.urls.base, id, sequence, patch,
+    capability = this.capability
+  }) {
     const patchHeaders = {'Content-Type': 'application/json-patch+json'};
-    await axios.patch(
-      `${baseUrl}/${id}`, {sequence, patch}, {headers: patchHeaders});
+    const url = `${baseUrl}/${id}`;
+    await this._request({
+      method: 'PATCH', url, headers: patchHeaders, data: {sequence, patch},
+      capability: capability || url,
+      errors: {409: {name: 'InvalidStateError', message: 'Conflict error.'}}
+    });
   }
 
   /**
@@ -114,12 +180,27 @@ export class DataHubService {
    * @param {string} options.baseUrl
    * @param {string} options.id a data hub ID.
    * @param {string} options.status either `active` or `deleted`.
+   * @param {Object|String} [options.capability] the capability to invoke
+   *   (default: this instance's capability or the data hub's root capability).
    *
    * @return {Void}
   */
-  async setStatus({baseUrl = this.config.urls.base, id, status}) {
-    // FIXME: add ability to disable data hub access or to revoke all ocaps
-    // that were delegated prior to a date of X.
-    await axios.post(`${baseUrl}/${id}/status`, {status}, {headers});
+  async setStatus({
+    baseUrl = this.config.urls.base, id, status, capability = this.capability
+  }) {
+    // FIXME: add ability to disable data hub access or to revoke all zcaps
+    // that were delegated prior to a date of X (see `DataHub.revoke` to
+    // revoke a single zcap).
+    await this._request({
+      method: 'POST', url: `${baseUrl}/${id}/status`, headers, data: {status},
+      capability: capability || `${baseUrl}/${id}`
+    });
+  }
+
+  // helper that sends a request using the service's transport, signing it if
+  // there is an invocation signer; see `request` in `transports/request.js`
+  async _request(options) {
+    const {transport, invocationSigner} = this;
+    return request({transport, invocationSigner, ...options});
   }
 }
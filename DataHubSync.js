@@ -0,0 +1,505 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import base64url from 'base64url-universal';
+
+// the maximum number of times to resolve a conflict for a document if the
+// remote document keeps changing while the resolution is written
+const MAX_RESOLVE_ATTEMPTS = 5;
+
+// the number of remote changes to get at once when pulling
+const PULL_PAGE_SIZE = 100;
+
+// errors raised when a remote document changed concurrently
+const CONFLICT_ERRORS = ['InvalidStateError', 'DuplicateError'];
+
+// built-in conflict resolvers; each resolves to `{content, copy}` where
+// `content` is the content to keep (or `null` to delete the document) and
+// `copy` is any content to keep as a new document
+const RESOLVERS = {
+  // the local change, being written last, replaces the remote document
+  'last-writer-wins': async ({local}) => ({
+    content: local ? local.content : null
+  }),
+  // the remote document is kept and the local change becomes a new document
+  'keep-both': async ({local, remote}) => {
+    if(!(local && remote)) {
+      // only one version still exists; keep it
+      return {content: (local || remote).content};
+    }
+    return {content: remote.content, copy: local.content};
+  }
+};
+
+export class DataHubSync extends EventTarget {
+  /**
+   * Creates a new DataHubSync instance that replicates documents between a
+   * local data hub (e.g. one that uses an `IndexedDbTransport`) and a remote
+   * one. Documents written using this instance are written to the local data
+   * hub right away and recorded in an outbox that is pushed to the remote
+   * data hub when it can be reached; remote changes are pulled into the local
+   * data hub. Documents should be read using the local data hub.
+   *
+   * A conflict occurs when a document was changed both locally and remotely
+   * since it was last synced, as detected via its remote sequence number. It
+   * is resolved using `resolver`, which is either `last-writer-wins` (the
+   * local change replaces the remote one), `keep-both` (the remote document
+   * is kept and the local change is saved as a new document whose ID is
+   * reported in the `conflict` event), or a function that takes
+   * `{id, local, remote}`, where `local` and `remote` are the decrypted
+   * documents (or `null` if deleted), and returns (or resolves to) the merged
+   * content, or `null` to delete the document.
+   *
+   * Events: `statuschange` when `status` changes (`idle`, `syncing`,
+   * `offline`, or `error`), with `detail` `{status, error}`; `conflict` when a
+   * conflict is resolved, with `detail` `{id, local, remote, content,
+   * copyId}`; and `change` when a remote change is pulled into the local data
+   * hub, with `detail` `{id, doc}` (`doc` is `null` if it was deleted).
+   *
+   * Remote changes are pulled from the remote data hub's changes feed (see
+   * `DataHub.getChanges`), starting at the cursor saved by the last pull. The
+   * first pull lists every remote document instead and only writes those
+   * that changed since they were synced. The remote data hub's configuration
+   * must therefore list `changes` and `list` in its `capabilities`.
+   *
+   * The sync state (the outbox, the remote sequence numbers of the synced
+   * documents, and the cursor of the changes feed) is kept apart from the
+   * documents, in `store`. It is saved after every write made using this
+   * instance and once per sync.
+   *
+   * @param {DataHub} local the local data hub.
+   * @param {DataHub} remote the remote data hub.
+   * @param {Object} [store] where to save the sync state: an object with
+   *   `getState({key})` and `setState({key, value})` methods, such as an
+   *   `IndexedDbTransport` (default: the local data hub's transport).
+   * @param {String|Function} [resolver='last-writer-wins'] how to resolve
+   *   conflicts.
+   * @param {EventTarget} [connectivity] a target for `online` events, upon
+   *   which a started instance syncs (default: the global `self`, if any).
+   *
+   * @return {DataHubSync}.
+   */
+  constructor({
+    local, remote, store = local && local.transport,
+    resolver = 'last-writer-wins',
+    connectivity = typeof self === 'undefined' ? undefined : self
+  }) {
+    super();
+    if(!(local && remote)) {
+      throw new TypeError('"local" and "remote" must be DataHub instances.');
+    }
+    if(!(store && typeof store.getState === 'function' &&
+      typeof store.setState === 'function')) {
+      throw new TypeError(
+        '"store" must have "getState" and "setState" methods if the local ' +
+        'data hub\'s transport does not.');
+    }
+    if(typeof resolver === 'string') {
+      if(!RESOLVERS[resolver]) {
+        throw new Error(`Unknown conflict resolver "${resolver}".`);
+      }
+      resolver = RESOLVERS[resolver];
+    } else if(typeof resolver === 'function') {
+      const merge = resolver;
+      resolver = async options => ({content: await merge(options)});
+    } else {
+      throw new TypeError('"resolver" must be a string or a function.');
+    }
+    this.local = local;
+    this.remote = remote;
+    this.store = store;
+    this.resolver = resolver;
+    this.connectivity = connectivity;
+    this.status = 'idle';
+    this._started = false;
+    this._syncing = null;
+    this._again = null;
+    this._onOnline = () => this._schedule();
+    this._stateKey = `data-hub-sync:${local.config.id}:${remote.config.id}`;
+    this._state = null;
+    this._saving = Promise.resolve();
+  }
+
+  /**
+   * Starts syncing: syncs now, after every write made using this instance,
+   * and whenever connectivity returns. Errors are reported via
+   * `statuschange` events.
+   */
+  start() {
+    if(this._started) {
+      return;
+    }
+    this._started = true;
+    if(this.connectivity) {
+      this.connectivity.addEventListener('online', this._onOnline);
+    }
+    this._schedule();
+  }
+
+  /**
+   * Stops syncing automatically; `sync` can still be called.
+   */
+  stop() {
+    this._started = false;
+    if(this.connectivity) {
+      this.connectivity.removeEventListener('online', this._onOnline);
+    }
+  }
+
+  /**
+   * Inserts a document into the local data hub and records it in the outbox;
+   * see `DataHub.insert`.
+   *
+   * @param {Object} doc the document to insert.
+   *
+   * @return {Promise<Object>} resolves to the inserted local document.
+   */
+  async insert({doc}) {
+    const inserted = await this.local.insert({doc});
+    await this._addToOutbox({id: inserted.id});
+    return inserted;
+  }
+
+  /**
+   * Updates a document in the local data hub and records it in the outbox;
+   * see `DataHub.update`.
+   *
+   * @param {Object} doc the document to update.
+   *
+   * @return {Promise<Object>} resolves to the updated local document.
+   */
+  async update({doc}) {
+    const updated = await this.local.update({doc});
+    await this._addToOutbox({id: updated.id});
+    return updated;
+  }
+
+  /**
+   * Deletes a document from the local data hub and records it in the outbox;
+   * see `DataHub.delete`.
+   *
+   * @param {String} id the ID of the document to delete.
+   *
+   * @return {Promise<Boolean>} resolves to `true` if the document was deleted
+   *   and `false` if it did not exist.
+   */
+  async delete({id}) {
+    const deleted = await this.local.delete({id});
+    if(deleted) {
+      await this._addToOutbox({id});
+    }
+    return deleted;
+  }
+
+  /**
+   * Pushes the outbox to the remote data hub, resolving any conflicts, and
+   * then pulls remote changes into the local data hub. If a sync is already
+   * in progress, another one is run once it finishes.
+   *
+   * @return {Promise<Object>} resolves to `{pushed, pulled}`, the numbers of
+   *   documents pushed and pulled; rejects with a `NetworkError` if the
+   *   remote data hub could not be reached.
+   */
+  async sync() {
+    if(this._syncing) {
+      // sync again once the current sync finishes, to include new changes
+      if(!this._again) {
+        this._again = this._syncing.catch(() => {}).then(() => {
+          this._again = null;
+          return this.sync();
+        });
+      }
+      return this._again;
+    }
+    this._syncing = this._sync().finally(() => {
+      this._syncing = null;
+    });
+    return this._syncing;
+  }
+
+  // helper that syncs once, updating `status`
+  async _sync() {
+    this._setStatus({status: 'syncing'});
+    try {
+      let pushed;
+      let pulled;
+      try {
+        pushed = await this._push();
+        pulled = await this._pull();
+      } finally {
+        await this._saveState();
+      }
+      this._setStatus({status: 'idle'});
+      return {pushed, pulled};
+    } catch(error) {
+      const offline = error.name === 'NetworkError';
+      this._setStatus({status: offline ? 'offline' : 'error', error});
+      throw error;
+    }
+  }
+
+  // helper that syncs in the background if this instance has been started
+  _schedule() {
+    if(this._started) {
+      // errors are reported via `statuschange` events
+      this.sync().catch(() => {});
+    }
+  }
+
+  // helper that pushes every document in the outbox; returns the number
+  // pushed
+  async _push() {
+    // entries are removed from the outbox as they are pushed
+    const outbox = [...(await this._getState()).outbox];
+    for(const {id} of outbox) {
+      await this._pushDocument({id});
+    }
+    return outbox.length;
+  }
+
+  // helper that pushes a document in the outbox to the remote data hub,
+  // resolving a conflict if it was changed remotely since it was last synced
+  async _pushDocument({id}) {
+    const state = await this._getState();
+    const entry = state.outbox.find(e => e.id === id);
+    if(!entry) {
+      return;
+    }
+    // the local changes being pushed; more may be made during the push
+    const {base, changes} = entry;
+    const local = await _getOrNull({dataHub: this.local, id});
+    let remote = await _getOrNull({dataHub: this.remote, id});
+    let synced;
+    if(_getSequence(remote) === base) {
+      try {
+        const content = local ? local.content : null;
+        synced = {[id]: await this._write({id, remote, content})};
+      } catch(e) {
+        if(!CONFLICT_ERRORS.includes(e.name)) {
+          throw e;
+        }
+        // changed remotely since it was fetched
+        remote = await _getOrNull({dataHub: this.remote, id});
+      }
+    }
+    if(!synced) {
+      synced = await this._resolve({id, local, remote});
+    }
+    _setSynced({state, synced});
+    const i = state.outbox.indexOf(entry);
+    if(i === -1) {
+      return;
+    }
+    if(entry.changes === changes) {
+      state.outbox.splice(i, 1);
+    } else {
+      // changed locally during the push; push again from the new base
+      entry.base = synced[id];
+    }
+  }
+
+  // helper that resolves a conflict and writes the result to both data hubs;
+  // returns the synced remote sequence numbers of the affected documents
+  async _resolve({id, local, remote}) {
+    for(let attempts = 1; ; ++attempts) {
+      const {content, copy} = await this.resolver({id, local, remote});
+      try {
+        const synced = {[id]: await this._write({id, remote, content})};
+        let copyId;
+        if(copy !== undefined) {
+          copyId = `${id}-conflict-` +
+            base64url.encode(crypto.getRandomValues(new Uint8Array(8)));
+          synced[copyId] = await this._write({id: copyId, content: copy});
+          await this._writeLocal({id: copyId, content: copy});
+        }
+        await this._writeLocal({id, content});
+        this._dispatch('conflict', {id, local, remote, content, copyId});
+        return synced;
+      } catch(e) {
+        if(!(CONFLICT_ERRORS.includes(e.name) &&
+          attempts < MAX_RESOLVE_ATTEMPTS)) {
+          throw e;
+        }
+      }
+      // changed remotely again; resolve using the latest version
+      remote = await _getOrNull({dataHub: this.remote, id});
+    }
+  }
+
+  // helper that writes content (or deletes a document if it is `null`) in
+  // the remote data hub, given the remote document it replaces (if any);
+  // returns the new remote sequence number, if not deleted
+  async _write({id, remote = null, content}) {
+    if(content === null) {
+      if(remote) {
+        await this.remote.delete({id});
+      }
+      return null;
+    }
+    const doc = remote ?
+      await this.remote.update({doc: {...remote, content}}) :
+      await this.remote.insert({doc: {id, content}});
+    return doc.sequence;
+  }
+
+  // helper that writes content (or deletes a document if it is `null`) in
+  // the local data hub
+  async _writeLocal({id, content}) {
+    if(content === null) {
+      await this.local.delete({id});
+      return;
+    }
+    await this.local.modify({id, createIfMissing: true, mutate: () => content});
+  }
+
+  // helper that pulls remote changes into the local data hub, except for
+  // documents in the outbox, a page at a time from the remote changes feed,
+  // starting at the cursor saved by the last pull; returns the number of
+  // documents pulled
+  async _pull() {
+    const state = await this._getState();
+    if(state.cursor === undefined) {
+      return this._pullAll();
+    }
+    let pulled = 0;
+    while(true) {
+      const {changes, cursor} = await this.remote.getChanges(
+        {since: state.cursor, limit: PULL_PAGE_SIZE});
+      for(const {type, doc} of changes) {
+        if(await this._pullDocument(
+          {id: doc.id, doc: type === 'delete' ? null : doc})) {
+          pulled++;
+        }
+      }
+      state.cursor = cursor;
+      if(changes.length < PULL_PAGE_SIZE) {
+        return pulled;
+      }
+    }
+  }
+
+  // helper that pulls every remote document that changed since it was last
+  // synced, for when there is no saved cursor (e.g. on the first sync), and
+  // saves the cursor of the changes feed for the next pull; returns the
+  // number of documents pulled
+  async _pullAll() {
+    const state = await this._getState();
+    // changes made from here on are pulled via the changes feed next time
+    const {cursor} = await this.remote.getChanges();
+    const seen = new Set();
+    let pulled = 0;
+    for await (const doc of this.remote.findIterator()) {
+      seen.add(doc.id);
+      if(await this._pullDocument({id: doc.id, doc})) {
+        pulled++;
+      }
+    }
+    // documents that were synced before but no longer exist remotely
+    for(const id of Object.keys(state.synced)) {
+      if(!seen.has(id) && await this._pullDocument({id, doc: null})) {
+        pulled++;
+      }
+    }
+    state.cursor = cursor;
+    return pulled;
+  }
+
+  // helper that writes a remote document (or its deletion, if `doc` is
+  // `null`) in the local data hub unless it is in the outbox or was already
+  // synced; returns whether it was written
+  async _pullDocument({id, doc}) {
+    const state = await this._getState();
+    const synced = id in state.synced ? state.synced[id] : null;
+    if(state.outbox.some(e => e.id === id) || synced === _getSequence(doc)) {
+      return false;
+    }
+    await this._writeLocal({id, content: doc ? doc.content : null});
+    _setSynced({state, synced: {[id]: _getSequence(doc)}});
+    this._dispatch('change', {id, doc});
+    return true;
+  }
+
+  // helper that records a local write in the outbox and schedules a sync
+  async _addToOutbox({id}) {
+    const state = await this._getState();
+    const entry = state.outbox.find(e => e.id === id);
+    if(entry) {
+      entry.changes++;
+    } else {
+      // `base` is the remote sequence number the change is based on
+      const base = id in state.synced ? state.synced[id] : null;
+      state.outbox.push({id, base, changes: 1});
+    }
+    await this._saveState();
+    this._schedule();
+  }
+
+  // helper that gets the sync state, which is loaded from `store` once and
+  // then changed in memory
+  async _getState() {
+    if(!this._state) {
+      this._state = this.store.getState({key: this._stateKey}).then(_toState);
+      // try again next time if the state could not be loaded
+      this._state.catch(() => {
+        this._state = null;
+      });
+    }
+    return this._state;
+  }
+
+  // helper that saves the sync state in `store`; saves are queued so that an
+  // earlier state never replaces a later one
+  async _saveState() {
+    const state = await this._getState();
+    this._saving = this._saving.catch(() => {}).then(
+      () => this.store.setState({key: this._stateKey, value: state}));
+    return this._saving;
+  }
+
+  // helper that sets `status` and dispatches a `statuschange` event
+  _setStatus({status, error}) {
+    this.status = status;
+    this._dispatch('statuschange', {status, error});
+  }
+
+  // helper that dispatches an event with the given detail
+  _dispatch(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, {detail}));
+  }
+}
+
+// gets a document from a data hub or `null` if it does not exist
+async function _getOrNull({dataHub, id}) {
+  try {
+    return await dataHub.get({id});
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+    return null;
+  }
+}
+
+// gets the sequence number of a document or `null` if it does not exist
+function _getSequence(doc) {
+  return doc ? doc.sequence : null;
+}
+
+// records the remote sequence numbers of synced documents, where `null`
+// means a document no longer exists
+function _setSynced({state, synced}) {
+  for(const id in synced) {
+    if(synced[id] === null) {
+      delete state.synced[id];
+    } else {
+      state.synced[id] = synced[id];
+    }
+  }
+}
+
+// gets the sync state from a saved value, if any
+function _toState({outbox = [], synced = {}, cursor} = {}) {
+  return {outbox, synced, cursor};
+}
@@ -3,6 +3,30 @@
  */
 'use strict';
 
+// Blinding versions:
+// 1: attribute values were salted with the literal string `key` (not the
+//   attribute name), so equal values under different names blinded the same
+// 2: attribute values are salted with their attribute name
+const BLINDING_VERSIONS = [1, 2];
+const LATEST_BLINDING_VERSION = 2;
+
+const QUERY_OPERATORS = [
+  'and', 'or', 'not', 'equals', 'has', 'range', 'prefix'
+];
+
+// bucket granularities for `date` indexes, from coarsest to finest, mapped
+// to the length of the ISO 8601 prefix that identifies a bucket
+const DATE_GRANULARITIES = new Map(
+  [['year', 4], ['month', 7], ['day', 10], ['hour', 13]]);
+
+// the maximum number of buckets that the data hub will be asked to match for
+// a single range
+const MAX_RANGE_BUCKETS = 100;
+
+// ranges with no upper bound are matched up to the end of the year that is
+// this many years after the current one
+const RANGE_HORIZON_YEARS = 50;
+
 export class IndexHelper {
   /**
    * Creates a new IndexHelper instance that can be used to blind data hub
@@ -10,16 +34,22 @@ export class IndexHelper {
    *
    * @param {Object} hmac an HMAC API with `id`, `sign`, and `verify`
    *   properties.
+   * @param {Number} [blindingVersion] the version of the blinding scheme to
+   *   use for new entries and queries; only data hubs that have not yet
+   *   migrated their index entries should use an older version (default: the
+   *   latest version).
    *
    * @return {IndexHelper}.
    */
-  constructor({hmac}) {
+  constructor({hmac, blindingVersion = LATEST_BLINDING_VERSION}) {
     if(!(hmac && typeof hmac === 'object' && typeof hmac.id === 'string' &&
       typeof hmac.sign === 'function' && typeof hmac.verify === 'function')) {
       throw new TypeError(
         '"hmac" must be an object with "id", "sign", and "verify" properties.');
     }
+    _assertBlindingVersion(blindingVersion);
     this.hmac = hmac;
+    this.blindingVersion = blindingVersion;
     this.indexes = new Map();
   }
 
@@ -28,12 +58,53 @@ export class IndexHelper {
    * instance will be indexed according to the given attribute, provided that
    * they contain that attribute.
    *
+   * If `compound` is `true`, then `attribute` must be an array of two or more
+   * attribute names that will be indexed together as a single compound
+   * attribute; only documents that contain every attribute will be indexed
+   * and, if `unique` is `true`, the combination of their values must be
+   * unique.
+   *
+   * Attribute names may be paths to nested attributes, expressed either as
+   * JSON Pointers (e.g. `/credentialSubject/id`) or using dots (e.g.
+   * `credentialSubject.id`). In the dotted form, a literal dot in a name may
+   * be escaped as `\.` and a literal backslash as `\\`. Any arrays met along
+   * a path are traversed so that every value they contain is indexed. A name
+   * that is a top-level attribute of a document always names that attribute
+   * rather than a path, so existing names that contain dots or backslashes or
+   * that start with `/` keep their meaning. Names are used as they are given;
+   * a query may name an indexed attribute using another form of its path.
+   *
+   * If `type` is given, the attribute is indexed for `range` or `prefix`
+   * queries instead of equality. A `date` index blinds the buckets (in UTC)
+   * that contain each date, at each of the given granularities; dates are
+   * ISO 8601 strings or numbers of milliseconds since the epoch. A `prefix`
+   * index blinds every prefix of each string, up to `maxLength` characters.
+   * Either reveals more about the attribute's values to the data hub than an
+   * equality index, e.g. which documents share a bucket or a prefix.
+   *
    * @param {Array|Object} attribute the attribute name or an array of
    *   attribute names.
    * @param {Boolean} unique `true` if attribute values should be considered
    *   unique, `false` if not (default: `false`).
+   * @param {Boolean} compound `true` to index an array of attribute names as
+   *   a single compound attribute, `false` to index each one separately
+   *   (default: `false`).
+   * @param {String} [type] `date` or `prefix` to index for `range` or
+   *   `prefix` queries.
+   * @param {Array} [granularity=['year', 'month', 'day']] the bucket sizes for
+   *   a `date` index, any of `year`, `month`, `day`, and `hour`.
+   * @param {Number} [maxLength] the length of the longest prefix to index for
+   *   a `prefix` index.
+   *
+   * @return {Array} the definitions of the ensured indexes, each an object
+   *   with the `attribute` name(s), any of `unique`, `compound`,
+   *   `type`, `granularity`, and `maxLength`, and the `blindingVersion`
+   *   used, suitable for storing in a data hub configuration.
    */
-  ensureIndex({attribute, unique = false}) {
+  ensureIndex({
+    attribute, unique = false, compound = false, type,
+    granularity = ['year', 'month', 'day'], maxLength
+  }) {
     if(!Array.isArray(attribute)) {
       attribute = [attribute];
     }
@@ -41,7 +112,76 @@ export class IndexHelper {
       throw new TypeError(
         '"attribute" must be a string or an array of strings.');
     }
-    attribute.forEach(x => this.indexes.set(x, unique));
+    if(type !== undefined) {
+      if(unique || compound) {
+        throw new TypeError(
+          '"date" and "prefix" indexes cannot be unique or compound.');
+      }
+      const index = {type};
+      if(type === 'date') {
+        if(!(Array.isArray(granularity) && granularity.length > 0 &&
+          granularity.every(g => DATE_GRANULARITIES.has(g)))) {
+          throw new TypeError(
+            '"granularity" must be a non-empty array of "year", "month", ' +
+            '"day", or "hour".');
+        }
+        // order from coarsest to finest
+        index.granularity = [...DATE_GRANULARITIES.keys()].filter(
+          g => granularity.includes(g));
+      } else if(type === 'prefix') {
+        if(!(Number.isInteger(maxLength) && maxLength > 0)) {
+          throw new TypeError('"maxLength" must be a positive integer.');
+        }
+        index.maxLength = maxLength;
+      } else {
+        throw new TypeError('"type" must be "date" or "prefix".');
+      }
+      return attribute.map(name => this._setIndex(
+        _getTypedName(type, name), {...index, attribute: name}));
+    }
+    if(compound) {
+      if(attribute.length < 2) {
+        throw new TypeError(
+          '"attribute" must be an array of at least two attribute names for ' +
+          'a compound index.');
+      }
+      const name = _getCompoundName(attribute);
+      return [
+        this._setIndex(name, {attribute, unique, compound: true})
+      ];
+    }
+    return attribute.map(
+      name => this._setIndex(name, {attribute: name, unique}));
+  }
+
+  /**
+   * Sets an index by name.
+   *
+   * @param {String} name the name of the index.
+   * @param {Object} index the index.
+   *
+   * @return {Object} the definition of the index.
+   */
+  _setIndex(name, index) {
+    this.indexes.set(name, index);
+    const {attribute, unique, compound, type, granularity, maxLength} = index;
+    const definition = {attribute};
+    if(unique) {
+      definition.unique = true;
+    }
+    if(compound) {
+      definition.compound = true;
+    }
+    if(type) {
+      definition.type = type;
+      if(type === 'date') {
+        definition.granularity = granularity;
+      } else {
+        definition.maxLength = maxLength;
+      }
+    }
+    definition.blindingVersion = this.blindingVersion;
+    return definition;
   }
 
   /**
@@ -53,7 +193,7 @@ export class IndexHelper {
    * @return {Promise<Object>} resolves to the new indexable entry.
    */
   async createEntry({doc}) {
-    const {hmac, indexes} = this;
+    const {hmac, indexes, blindingVersion: version} = this;
     const entry = {
       hmac: {
         id: hmac.id,
@@ -64,17 +204,26 @@ export class IndexHelper {
     // ensure current iteration/version matches doc's
     entry.sequence = doc.sequence;
 
+    // record blinding scheme used; entries without one use version 1
+    entry.blindingVersion = version;
+
     // blind all attributes specifies in current index set
     const {content} = doc;
     const blindOps = [];
-    for(const [key, unique] of indexes.entries()) {
-      const value = content[key];
-      if(Array.isArray(value)) {
-        for(const v of value) {
-          blindOps.push(this._blindAttribute({key, value: v, unique}));
-        }
-      } else if(value !== undefined) {
-        blindOps.push(this._blindAttribute({key, value, unique}));
+    for(const [key, index] of indexes.entries()) {
+      const {attribute, unique} = index;
+      let values;
+      if(index.compound) {
+        // index every combination of the attributes' values
+        values = _getCombinations(attribute.map(a => _getValues(content, a)));
+      } else if(index.type) {
+        // index the buckets or prefixes of the attribute's values
+        values = _getTokens(index, _getValues(content, attribute));
+      } else {
+        values = _getValues(content, attribute);
+      }
+      for(const value of values) {
+        blindOps.push(this._blindAttribute({key, value, unique, version}));
       }
     }
     entry.attributes = await Promise.all(blindOps);
@@ -82,6 +231,35 @@ export class IndexHelper {
     return entry;
   }
 
+  /**
+   * Gets `equals` filters that match the documents that share a value (or
+   * combination of values) of a unique attribute with the given content.
+   *
+   * @param {Object} content the document content.
+   *
+   * @return {Array} an array of objects with key-value attribute pairs, one
+   *   for each unique value (or combination of values) in the content.
+   */
+  getUniqueFilters({content}) {
+    const filters = [];
+    for(const index of this.indexes.values()) {
+      const {attribute} = index;
+      if(!index.unique) {
+        continue;
+      }
+      if(index.compound) {
+        const combinations = _getCombinations(
+          attribute.map(a => _getValues(content, a)));
+        filters.push(...combinations.map(values => attribute.reduce(
+          (filter, a, i) => ({...filter, [a]: values[i]}), {})));
+      } else {
+        filters.push(..._getValues(content, attribute).map(
+          value => ({[attribute]: value})));
+      }
+    }
+    return filters;
+  }
+
   /**
    * Returns a shallow copy of the array of indexed entries for the given
    * document where any existing entry matching the HMAC associated with this
@@ -121,17 +299,40 @@ export class IndexHelper {
     return indexed;
   }
 
+  /**
+   * Gets the blinding version used by an indexed entry.
+   *
+   * @param {Object} entry the indexed entry.
+   *
+   * @return {Number} the blinding version.
+   */
+  getBlindingVersion({entry}) {
+    return entry.blindingVersion === undefined ? 1 : entry.blindingVersion;
+  }
+
   /**
    * Builds a query that can be submitted to a data hub index service.
    *
+   * Attribute names may be paths to nested attributes; see `ensureIndex`.
+   *
    * @param {Object|Array} [equals] an object with key-value attribute pairs to
    *   match or an array of such objects.
    * @param {String|Array} [has] a string with an attribute name to match or an
    *   array of such strings.
+   * @param {Number} [version] the blinding version of the index entries to
+   *   match (default: this instance's blinding version).
+   * @param {Number} [limit] the maximum number of documents to match; matches
+   *   are ordered by document ID.
+   * @param {String} [after] the ID of the document after which to match.
+   * @param {Boolean} [count=false] `true` to match only the number of
+   *   documents, `false` to match the documents themselves.
    *
    * @return {Promise<Object>} resolves to the built query.
    */
-  async buildQuery({equals, has}) {
+  async buildQuery({
+    equals, has, version = this.blindingVersion, limit, after, count = false
+  }) {
+    _assertBlindingVersion(version);
     // validate params
     if(equals === undefined && has === undefined) {
       throw new Error('Either "equals" or "has" must be defined.');
@@ -159,9 +360,25 @@ export class IndexHelper {
       }
     }
 
+    if(limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+      throw new TypeError('"limit" must be a positive integer.');
+    }
+    if(after !== undefined && typeof after !== 'string') {
+      throw new TypeError('"after" must be a string.');
+    }
+
     const query = {
       index: this.hmac.id,
     };
+    if(limit !== undefined) {
+      query.limit = limit;
+    }
+    if(after !== undefined) {
+      query.after = after;
+    }
+    if(count) {
+      query.count = true;
+    }
 
     if(equals) {
       // blind `equals`
@@ -170,9 +387,11 @@ export class IndexHelper {
       }
       query.equals = await Promise.all(equals.map(async equal => {
         const result = {};
-        for(const key in equal) {
-          const value = equal[key];
-          const attr = await this._blindAttribute({key, value});
+        const terms = this._useCompoundIndexes(
+          {equals: _normalizeKeys(equal, this.indexes)});
+        for(const key in terms) {
+          const value = terms[key];
+          const attr = await this._blindAttribute({key, value, version});
           result[attr.name] = attr.value;
         }
         return result;
@@ -183,23 +402,274 @@ export class IndexHelper {
         has = [has];
       }
       query.has = await Promise.all(
-        has.map(key => this._blindString(key)));
+        has.map(key => this._blindString(_getIndexedName(key, this.indexes))));
     }
     return query;
   }
 
+  /**
+   * Compiles a structured query into the part that a data hub index service
+   * can evaluate and the part that the client must evaluate once matching
+   * documents have been decrypted.
+   *
+   * A structured query is an object with exactly one of these operators:
+   *
+   * - `equals`: an object with key-value attribute pairs that must all match
+   *   (or an array of such objects, any one of which must match).
+   * - `has`: an attribute name that must be present (or an array of such
+   *   names, all of which must be present).
+   * - `and`: an array of queries that must all match.
+   * - `or`: an array of queries, any one of which must match.
+   * - `not`: a query that must not match.
+   * - `range`: an object mapping an attribute name to an object with any of
+   *   `gt`, `gte`, `lt`, and `lte` dates that its value must be within.
+   * - `prefix`: an object mapping an attribute name to a string that its
+   *   value must start with.
+   *
+   * The index service can only evaluate `equals` and `has` terms for
+   * attributes that are indexed and not negated, and it cannot combine
+   * `equals` terms with `has` terms or `has` terms with one another using
+   * `or`; any other part of the query is left to the client. `range` and
+   * `prefix` terms for attributes with `date` and `prefix` indexes are
+   * evaluated by the index service as `equals` terms that match the buckets
+   * or prefixes that may contain matching values; the client checks the
+   * values themselves. A `range` with no lower bound cannot be evaluated by
+   * the index service and one with no upper bound is only evaluated up to
+   * the end of the year 50 years from now; later dates are not found.
+   *
+   * @param {Object} query the structured query.
+   *
+   * @return {Object} an object `{server, client}` where `server` is an object
+   *   with `equals` or `has` for use with `buildQuery` (or `null` if the index
+   *   service cannot evaluate any part of the query) and `client` is the
+   *   query that the documents the service returns must also match (or
+   *   `null` if they all match).
+   */
+  compileQuery({query}) {
+    query = _normalizeQuery(query, this.indexes);
+    const compiled = this._compileQuery({query});
+    if(!compiled) {
+      return {server: null, client: query};
+    }
+    const {equals, has} = compiled;
+    if(has) {
+      return {
+        server: {has: has.length === 1 ? has[0] : has},
+        client: compiled.residual
+      };
+    }
+    // drop any attributes that are only indexed by compound indexes that are
+    // not fully covered by the filter
+    const pruned = equals.map(equal => this._pruneEquals({equals: equal}));
+    if(pruned.some(equal => Object.keys(equal).length === 0)) {
+      return {server: null, client: query};
+    }
+    const complete = pruned.every((equal, i) =>
+      Object.keys(equal).length === Object.keys(equals[i]).length);
+    return {
+      server: {equals: pruned.length === 1 ? pruned[0] : pruned},
+      client: complete ? compiled.residual : query
+    };
+  }
+
+  /**
+   * Determines whether some document content matches a structured query;
+   * see `compileQuery`.
+   *
+   * @param {Object} content the document content.
+   * @param {Object} query the structured query.
+   *
+   * @return {Boolean} `true` if the content matches, `false` if not.
+   */
+  matchesQuery({content, query}) {
+    return _matchesQuery(content, _normalizeQuery(query, this.indexes));
+  }
+
+  /**
+   * Compiles a normalized structured query into `equals` or `has` terms that
+   * the index service can evaluate and a residual query such that a document
+   * matches the query if it matches both.
+   *
+   * @param {Object} query the normalized query.
+   *
+   * @return {Object} an object `{equals, residual}` or `{has, residual}`
+   *   where `equals` is an array of objects and `has` is an array of names,
+   *   or `null` if no part of the query can be evaluated by the service.
+   */
+  _compileQuery({query}) {
+    if(query.equals) {
+      const [key] = Object.keys(query.equals);
+      return this._isIndexed({attribute: key, compound: true}) ?
+        {equals: [query.equals], residual: null} : null;
+    }
+    if(query.has) {
+      return this._isIndexed({attribute: query.has}) ?
+        {has: [query.has], residual: null} : null;
+    }
+    if(query.not) {
+      return null;
+    }
+    if(query.range || query.prefix) {
+      return this._compileTokenQuery({query});
+    }
+    if(query.or) {
+      // only `equals` terms can be combined with `or`
+      const parts = query.or.map(q => this._compileQuery({query: q}));
+      if(!parts.every(part => part && part.equals)) {
+        return null;
+      }
+      return {
+        equals: [].concat(...parts.map(part => part.equals)),
+        residual: parts.every(part => !part.residual) ? null : query
+      };
+    }
+    // `and`: `equals` and `has` terms cannot be combined, so use whichever
+    // `equals` terms are available as they are the more selective
+    const parts = query.and.map(q => this._compileQuery({query: q}));
+    const type = parts.some(part => part && part.equals) ? 'equals' : 'has';
+    let terms = type === 'equals' ? [{}] : [];
+    const residual = [];
+    parts.forEach((part, i) => {
+      let merged;
+      if(part && part[type]) {
+        merged = type === 'equals' ?
+          _mergeEquals(terms, part.equals) : terms.concat(part.has);
+      }
+      if(merged) {
+        terms = merged;
+        if(part.residual) {
+          residual.push(part.residual);
+        }
+      } else {
+        residual.push(query.and[i]);
+      }
+    });
+    if(terms.length === 0) {
+      return null;
+    }
+    return {[type]: terms, residual: _combineQueries('and', residual)};
+  }
+
+  /**
+   * Compiles a normalized `range` or `prefix` query into `equals` terms that
+   * match the blinded buckets or prefixes of a `date` or `prefix` index.
+   *
+   * @param {Object} query the normalized query.
+   *
+   * @return {Object} an object `{equals, residual}` or `null` if the query
+   *   cannot be evaluated by the index service.
+   */
+  _compileTokenQuery({query}) {
+    const type = query.range ? 'date' : 'prefix';
+    const [[attribute, value]] = Object.entries(query.range || query.prefix);
+    const key = _getTypedName(type, attribute);
+    const index = this.indexes.get(key);
+    if(!index) {
+      return null;
+    }
+    if(type === 'prefix') {
+      const chars = [...value];
+      if(chars.length === 0) {
+        return null;
+      }
+      // prefixes longer than the index's `maxLength` match only in part
+      return {
+        equals: [{[key]: chars.slice(0, index.maxLength).join('')}],
+        residual: chars.length > index.maxLength ? query : null
+      };
+    }
+    // buckets may also contain dates outside of the range
+    const tokens = _getRangeTokens(index.granularity, value);
+    if(!(tokens && tokens.length > 0)) {
+      return null;
+    }
+    return {equals: tokens.map(token => ({[key]: token})), residual: query};
+  }
+
+  /**
+   * Determines whether an attribute is indexed.
+   *
+   * @param {String} attribute the name the attribute is indexed under.
+   * @param {Boolean} [compound=false] `true` to also consider compound
+   *   indexes that include the attribute.
+   *
+   * @return {Boolean} `true` if the attribute is indexed, `false` if not.
+   */
+  _isIndexed({attribute, compound = false}) {
+    const index = this.indexes.get(attribute);
+    if(index && !(index.compound || index.type)) {
+      return true;
+    }
+    return compound && [...this.indexes.values()].some(
+      index => index.compound && index.attribute.includes(attribute));
+  }
+
+  /**
+   * Removes the attributes from an `equals` filter that cannot be matched
+   * using either a simple index or a compound index that the filter covers.
+   *
+   * @param {Object} equals an object with key-value attribute pairs, named
+   *   as they are indexed.
+   *
+   * @return {Object} the filter with only the matchable attributes.
+   */
+  _pruneEquals({equals}) {
+    const terms = this._useCompoundIndexes({equals});
+    const result = {};
+    for(const key in terms) {
+      const index = this.indexes.get(key);
+      if(index && index.compound) {
+        index.attribute.forEach(a => result[a] = equals[a]);
+      } else if(index) {
+        result[key] = equals[key];
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Replaces the attributes in an `equals` filter with compound attributes
+   * wherever a compound index covers them, preferring the compound indexes
+   * that cover the most attributes.
+   *
+   * @param {Object} equals an object with key-value attribute pairs.
+   *
+   * @return {Object} an object with key-value attribute pairs where any
+   *   compound attribute values are arrays.
+   */
+  _useCompoundIndexes({equals}) {
+    const compoundIndexes = [...this.indexes.entries()]
+      .filter(([, index]) => index.compound)
+      .sort(([, a], [, b]) => b.attribute.length - a.attribute.length);
+    const remaining = {...equals};
+    const result = {};
+    for(const [key, {attribute}] of compoundIndexes) {
+      if(attribute.every(a => remaining.hasOwnProperty(a))) {
+        result[key] = attribute.map(a => remaining[a]);
+        attribute.forEach(a => delete remaining[a]);
+      }
+    }
+    return {...remaining, ...result};
+  }
+
   /**
    * Blinds a single attribute using the internal HMAC API.
    *
    * @param {String} key a key associated with a value.
    * @param {Any} value the value associated with the key for the attribute.
    * @param {Boolean} unique `true` to include a unique flag on the output.
+   * @param {Number} version the blinding version to use.
    *
    * @return {Promise<Object>} resolves to an object `{name, value}`.
    */
-  async _blindAttribute({key, value, unique = false}) {
-    // salt values with key to prevent cross-key leakage
-    value = JSON.stringify({key: value});
+  async _blindAttribute({key, value, unique = false, version}) {
+    if(version === 1) {
+      // Note: version 1 did not actually salt values with their key
+      value = JSON.stringify({key: value});
+    } else {
+      // salt values with key to prevent cross-key leakage
+      value = JSON.stringify({[key]: value});
+    }
     const [blindedName, blindedValue] = await Promise.all(
       [this._blindString(key), this._blindString(value)]);
     const result = {name: blindedName, value: blindedValue};
@@ -222,3 +692,351 @@ export class IndexHelper {
     return this.hmac.sign({data});
   }
 }
+
+// gets the name used for a compound attribute; JSON is used so that the
+// name is unambiguous for any attribute names
+function _getCompoundName(attribute) {
+  return JSON.stringify(attribute);
+}
+
+// normalizes a structured query such that `equals` and `has` terms each
+// refer to a single attribute (by the name it is indexed under, if any) and
+// `and` and `or` have at least two nested queries
+function _normalizeQuery(query, indexes) {
+  if(!(query && typeof query === 'object' && !Array.isArray(query))) {
+    throw new TypeError('"query" must be an object.');
+  }
+  const keys = Object.keys(query);
+  if(keys.length !== 1 || !QUERY_OPERATORS.includes(keys[0])) {
+    const names = QUERY_OPERATORS.map(name => `"${name}"`);
+    throw new TypeError(
+      `A query must have exactly one of ${names.slice(0, -1).join(', ')}, ` +
+      `or ${names[names.length - 1]}.`);
+  }
+  const [operator] = keys;
+  const value = query[operator];
+  if(operator === 'and' || operator === 'or') {
+    if(!(Array.isArray(value) && value.length > 0)) {
+      throw new TypeError(`"${operator}" must be a non-empty array.`);
+    }
+    // flatten nested queries that use the same operator
+    return _combineQueries(operator, [].concat(...value.map(q => {
+      q = _normalizeQuery(q, indexes);
+      return q[operator] || [q];
+    })));
+  }
+  if(operator === 'not') {
+    return {not: _normalizeQuery(value, indexes)};
+  }
+  if(operator === 'range' || operator === 'prefix') {
+    if(!(value && typeof value === 'object' && Object.keys(value).length > 0)) {
+      throw new TypeError(`"${operator}" must be a non-empty object.`);
+    }
+    const validate = operator === 'range' ? _validateRange : _validatePrefix;
+    return _combineQueries('and', Object.keys(value).map(key => {
+      validate(value[key]);
+      return {[operator]: {[_getIndexedName(key, indexes)]: value[key]}};
+    }));
+  }
+  if(operator === 'has') {
+    const names = Array.isArray(value) ? value : [value];
+    if(!(names.length > 0 &&
+      names.every(name => name && typeof name === 'string'))) {
+      throw new TypeError('"has" must be a string or an array of strings.');
+    }
+    return _combineQueries(
+      'and', names.map(name => ({has: _getIndexedName(name, indexes)})));
+  }
+  if(Array.isArray(value)) {
+    return _normalizeQuery({or: value.map(equals => ({equals}))}, indexes);
+  }
+  if(!(value && typeof value === 'object' && Object.keys(value).length > 0)) {
+    throw new TypeError(
+      '"equals" must be a non-empty object or an array of such objects.');
+  }
+  return _combineQueries('and', Object.keys(value).map(
+    key => ({equals: {[_getIndexedName(key, indexes)]: value[key]}})));
+}
+
+function _combineQueries(operator, queries) {
+  if(queries.length === 0) {
+    return null;
+  }
+  return queries.length === 1 ? queries[0] : {[operator]: queries};
+}
+
+function _matchesQuery(content, query) {
+  if(query.and) {
+    return query.and.every(q => _matchesQuery(content, q));
+  }
+  if(query.or) {
+    return query.or.some(q => _matchesQuery(content, q));
+  }
+  if(query.not) {
+    return !_matchesQuery(content, query.not);
+  }
+  if(query.has) {
+    return _getValues(content, query.has).length > 0;
+  }
+  if(query.range) {
+    const [[key, range]] = Object.entries(query.range);
+    return _getValues(content, key).some(
+      value => _isInRange(_getTime(value), range));
+  }
+  if(query.prefix) {
+    const [[key, prefix]] = Object.entries(query.prefix);
+    return _getValues(content, key).some(
+      value => typeof value === 'string' && value.startsWith(prefix));
+  }
+  // compare values as they are blinded, i.e., as JSON
+  const [key] = Object.keys(query.equals);
+  const expected = JSON.stringify(query.equals[key]);
+  return _getValues(content, key).some(
+    value => JSON.stringify(value) === expected);
+}
+
+// combines two `equals` filters, each an array of alternative objects, into
+// a single filter that matches both; returns `null` if that is not possible
+// without one attribute having to match two different values or if it would
+// multiply alternatives
+function _mergeEquals(a, b) {
+  if(a.length > 1 && b.length > 1) {
+    return null;
+  }
+  const result = [];
+  for(const x of a) {
+    for(const y of b) {
+      for(const key in y) {
+        if(x.hasOwnProperty(key) &&
+          JSON.stringify(x[key]) !== JSON.stringify(y[key])) {
+          return null;
+        }
+      }
+      result.push({...x, ...y});
+    }
+  }
+  return result;
+}
+
+// gets every combination of values given an array of alternative values for
+// each position; returns no combinations if any position has no alternatives
+function _getCombinations(alternatives) {
+  let combinations = [[]];
+  for(const values of alternatives) {
+    combinations = [].concat(...combinations.map(
+      c => values.map(v => [...c, v])));
+  }
+  return combinations;
+}
+
+// parses an attribute name (a JSON Pointer or a dotted path) into an array of
+// path segments; a backslash that does not escape a dot or a backslash is
+// read literally
+function _parsePath(attribute) {
+  if(attribute.startsWith('/')) {
+    return attribute.slice(1).split('/').map(
+      s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+  const path = [];
+  let segment = '';
+  for(let i = 0; i < attribute.length; ++i) {
+    const c = attribute[i];
+    if(c === '\\') {
+      const next = attribute[i + 1];
+      if(next === '.' || next === '\\') {
+        segment += next;
+        ++i;
+      } else {
+        segment += c;
+      }
+    } else if(c === '.') {
+      path.push(segment);
+      segment = '';
+    } else {
+      segment += c;
+    }
+  }
+  path.push(segment);
+  return path;
+}
+
+// gets the name that an attribute is indexed under: the name as given if an
+// index uses it, otherwise the name of an indexed attribute with the same
+// path (e.g. `credentialSubject.id` for `/credentialSubject/id`), if any
+function _getIndexedName(attribute, indexes) {
+  const names = [].concat(...[...indexes.values()].map(
+    index => index.attribute));
+  if(names.includes(attribute)) {
+    return attribute;
+  }
+  const path = JSON.stringify(_parsePath(attribute));
+  return names.find(name => JSON.stringify(_parsePath(name)) === path) ||
+    attribute;
+}
+
+// returns a copy of an `equals` filter with the names that its attributes
+// are indexed under; the names of `date` and `prefix` indexes are kept as
+// they are
+function _normalizeKeys(equals, indexes) {
+  const result = {};
+  for(const key in equals) {
+    const index = indexes.get(key);
+    const name = (index && index.type) ? key : _getIndexedName(key, indexes);
+    result[name] = equals[key];
+  }
+  return result;
+}
+
+// gets all values of an attribute; a top-level attribute with the whole
+// name is used if there is one, otherwise the name is read as a path. Any
+// arrays met along the path are traversed, as are arrays of values found at
+// its end
+function _getValues(content, attribute) {
+  const path = (content && typeof content === 'object' &&
+    content.hasOwnProperty(attribute)) ? [attribute] : _parsePath(attribute);
+  let values = [content];
+  for(const segment of path) {
+    values = _flatten(values)
+      .filter(v => v && typeof v === 'object' && v.hasOwnProperty(segment))
+      .map(v => v[segment]);
+  }
+  return _flatten(values).filter(v => v !== undefined);
+}
+
+function _flatten(values) {
+  return values.reduce(
+    (result, v) => result.concat(Array.isArray(v) ? _flatten(v) : [v]), []);
+}
+
+function _assertBlindingVersion(version) {
+  if(!BLINDING_VERSIONS.includes(version)) {
+    throw new Error(`Unsupported blinding version "${version}".`);
+  }
+}
+
+// gets the name used for a `date` or `prefix` index of an attribute
+function _getTypedName(type, attribute) {
+  return JSON.stringify({[type]: attribute});
+}
+
+// gets the deduplicated bucket or prefix tokens to index for the values of
+// an attribute with a `date` or `prefix` index
+function _getTokens({type, granularity, maxLength}, values) {
+  const tokens = new Set();
+  for(const value of values) {
+    if(type === 'date') {
+      const time = _getTime(value);
+      if(time !== undefined) {
+        granularity.forEach(g => tokens.add(_getBucket(time, g).token));
+      }
+    } else if(typeof value === 'string') {
+      const chars = [...value];
+      for(let i = 1; i <= Math.min(chars.length, maxLength); ++i) {
+        tokens.add(chars.slice(0, i).join(''));
+      }
+    }
+  }
+  return [...tokens];
+}
+
+// gets the time in milliseconds since the epoch of a date that is either an
+// ISO 8601 string or already a number of milliseconds; returns `undefined`
+// if the value is not a valid date
+function _getTime(value) {
+  const time = typeof value === 'string' ? Date.parse(value) : value;
+  return Number.isFinite(time) ? time : undefined;
+}
+
+// gets the UTC bucket of the given granularity that contains a time, as
+// `{token, start, end}` where `start` and `end` are inclusive
+function _getBucket(time, granularity) {
+  const date = new Date(time);
+  const fields = [
+    date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+    date.getUTCHours()
+  ];
+  const length = DATE_GRANULARITIES.get(granularity);
+  const depth = [...DATE_GRANULARITIES.keys()].indexOf(granularity) + 1;
+  const next = fields.slice();
+  next[depth - 1]++;
+  const start = _getUtcTime(fields, depth);
+  return {
+    token: new Date(start).toISOString().slice(0, length),
+    start,
+    end: _getUtcTime(next, depth) - 1
+  };
+}
+
+function _getUtcTime([year, month, day, hour], depth) {
+  return Date.UTC(
+    year, depth > 1 ? month : 0, depth > 2 ? day : 1, depth > 3 ? hour : 0);
+}
+
+// gets the tokens of the buckets that cover a range, using the coarsest
+// buckets that fit within it and finer ones at its ends; a range with no
+// upper bound ends at the horizon; returns `null` if the range has no lower
+// bound or needs too many buckets
+function _getRangeTokens(granularity, {gt, gte, lt, lte}) {
+  if(gt === undefined && gte === undefined) {
+    return null;
+  }
+  const start = gte !== undefined ? _getTime(gte) : _getTime(gt) + 1;
+  let end;
+  if(lte !== undefined) {
+    end = _getTime(lte);
+  } else if(lt !== undefined) {
+    end = _getTime(lt) - 1;
+  } else {
+    const year = new Date().getUTCFullYear() + RANGE_HORIZON_YEARS;
+    end = Date.UTC(year + 1, 0, 1) - 1;
+  }
+  const tokens = [];
+  const cover = (start, end, level) => {
+    for(let time = start; time <= end &&
+      tokens.length <= MAX_RANGE_BUCKETS;) {
+      const bucket = _getBucket(time, granularity[level]);
+      if((bucket.start >= start && bucket.end <= end) ||
+        level === granularity.length - 1) {
+        tokens.push(bucket.token);
+      } else {
+        cover(
+          Math.max(start, bucket.start), Math.min(end, bucket.end), level + 1);
+      }
+      time = bucket.end + 1;
+    }
+  };
+  cover(start, end, 0);
+  return tokens.length > MAX_RANGE_BUCKETS ? null : tokens;
+}
+
+function _isInRange(time, {gt, gte, lt, lte}) {
+  return time !== undefined &&
+    (gt === undefined || time > _getTime(gt)) &&
+    (gte === undefined || time >= _getTime(gte)) &&
+    (lt === undefined || time < _getTime(lt)) &&
+    (lte === undefined || time <= _getTime(lte));
+}
+
+function _validateRange(range) {
+  const keys = range && typeof range === 'object' ? Object.keys(range) : [];
+  if(!(keys.length > 0 &&
+    keys.every(key => ['gt', 'gte', 'lt', 'lte'].includes(key)))) {
+    throw new TypeError(
+      'A range must be an object with any of "gt", "gte", "lt", or "lte".');
+  }
+  if(('gt' in range && 'gte' in range) || ('lt' in range && 'lte' in range)) {
+    throw new TypeError(
+      'A range may not have both "gt" and "gte" or both "lt" and "lte".');
+  }
+  if(!keys.every(key => _getTime(range[key]) !== undefined)) {
+    throw new TypeError(
+      'Range bounds must be ISO 8601 date strings or numbers of ' +
+      'milliseconds since the epoch.');
+  }
+}
+
+function _validatePrefix(prefix) {
+  if(typeof prefix !== 'string') {
+    throw new TypeError('A prefix must be a string.');
+  }
+}
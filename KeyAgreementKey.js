@@ -0,0 +1,72 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import * as p256 from './algorithms/p256.js';
+import * as x25519 from './algorithms/x25519.js';
+
+const CURVES = {
+  [p256.JWK_CRV]: p256,
+  [x25519.JWK_CRV]: x25519
+};
+
+export class KeyAgreementKey {
+  /**
+   * Creates a new KeyAgreementKey instance that holds a local ECDH key pair.
+   * It can be used as the `keyAgreementKey` when decrypting a JWE that has
+   * been encrypted for it using `ECDH-ES+A256KW`. Keys that are managed
+   * elsewhere (e.g. by a KMS) need only provide the same `id` and
+   * `deriveSecret` API.
+   *
+   * @param {String} id the ID of the key; it is used as the `kid` of the
+   *   JWE recipient.
+   * @param {Uint8Array|CryptoKey} privateKey the private key.
+   * @param {Object} publicKey the public key as an X25519 or P-256 JWK.
+   *
+   * @return {KeyAgreementKey}.
+   */
+  constructor({id, privateKey, publicKey}) {
+    if(typeof id !== 'string') {
+      throw new TypeError('"id" must be a string.');
+    }
+    if(!(publicKey && CURVES[publicKey.crv])) {
+      throw new TypeError('"publicKey" must be an X25519 or P-256 JWK.');
+    }
+    this.id = id;
+    this.publicKey = publicKey;
+    this._privateKey = privateKey;
+  }
+
+  /**
+   * Generates a new KeyAgreementKey.
+   *
+   * @param {String} id the ID for the key.
+   * @param {String} [curve='X25519'] either `X25519` or `P-256`.
+   *
+   * @return {Promise<KeyAgreementKey>} resolves to the new key.
+   */
+  static async generate({id, curve = 'X25519'}) {
+    if(!CURVES[curve]) {
+      throw new Error(`Unsupported curve "${curve}".`);
+    }
+    const {privateKey, publicKey} = await CURVES[curve].generateKeyPair();
+    return new KeyAgreementKey({id, privateKey, publicKey});
+  }
+
+  /**
+   * Derives a shared secret with the given public key.
+   *
+   * @param {Object} publicKey the remote public key as a JWK on the same
+   *   curve as this key.
+   *
+   * @return {Promise<Uint8Array>} resolves to the shared secret.
+   */
+  async deriveSecret({publicKey}) {
+    const {crv} = this.publicKey;
+    if(!(publicKey && publicKey.crv === crv)) {
+      throw new Error(`"publicKey" must be a JWK with curve "${crv}".`);
+    }
+    return CURVES[crv].deriveSecret({privateKey: this._privateKey, publicKey});
+  }
+}
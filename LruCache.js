@@ -0,0 +1,116 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+export class LruCache {
+  /**
+   * Creates a new LruCache instance that holds at most `maxSize` entries and,
+   * if `maxBytes` is given, entries whose total size (as computed by
+   * `sizeOf`) is at most `maxBytes`; the least recently used entries are
+   * evicted when a new one is added. An entry that is larger than `maxBytes`
+   * by itself is not cached.
+   *
+   * @param {Number} maxSize the maximum number of entries.
+   * @param {Number} [maxBytes=Infinity] the maximum total size of the
+   *   entries, in bytes.
+   * @param {Function} [sizeOf] a function that takes a value and returns its
+   *   (approximate) size in bytes; required if `maxBytes` is given.
+   *
+   * @return {LruCache}.
+   */
+  constructor({maxSize, maxBytes = Infinity, sizeOf}) {
+    if(!(Number.isInteger(maxSize) && maxSize >= 0)) {
+      throw new TypeError('"maxSize" must be a non-negative integer.');
+    }
+    if(maxBytes !== Infinity) {
+      if(!(Number.isInteger(maxBytes) && maxBytes >= 0)) {
+        throw new TypeError('"maxBytes" must be a non-negative integer.');
+      }
+      if(typeof sizeOf !== 'function') {
+        throw new TypeError('"sizeOf" must be a function.');
+      }
+    }
+    this.maxSize = maxSize;
+    this.maxBytes = maxBytes;
+    this.sizeOf = sizeOf;
+    // the total size of the entries, in bytes
+    this.bytes = 0;
+    // entries `{value, bytes}` in order of use, least recently used first
+    this._entries = new Map();
+  }
+
+  /**
+   * Gets the number of entries in the cache.
+   *
+   * @return {Number} the number of entries.
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Gets an entry and marks it as the most recently used.
+   *
+   * @param {String} key the key of the entry.
+   *
+   * @return {*} the value of the entry or `undefined` if there is none.
+   */
+  get(key) {
+    const entry = this._entries.get(key);
+    if(!entry) {
+      return undefined;
+    }
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Sets an entry as the most recently used, evicting the least recently used
+   * entries if the cache is full.
+   *
+   * @param {String} key the key of the entry.
+   * @param {*} value the value of the entry.
+   */
+  set(key, value) {
+    this.delete(key);
+    const bytes = this.maxBytes === Infinity ? 0 : this.sizeOf(value);
+    if(this.maxSize === 0 || bytes > this.maxBytes) {
+      return;
+    }
+    this._entries.set(key, {value, bytes});
+    this.bytes += bytes;
+    for(const oldest of this._entries.keys()) {
+      if(this._entries.size <= this.maxSize && this.bytes <= this.maxBytes) {
+        break;
+      }
+      this.delete(oldest);
+    }
+  }
+
+  /**
+   * Removes an entry.
+   *
+   * @param {String} key the key of the entry.
+   *
+   * @return {Boolean} `true` if an entry was removed, `false` if not.
+   */
+  delete(key) {
+    const entry = this._entries.get(key);
+    if(!entry) {
+      return false;
+    }
+    this._entries.delete(key);
+    this.bytes -= entry.bytes;
+    return true;
+  }
+
+  /**
+   * Removes every entry.
+   */
+  clear() {
+    this._entries.clear();
+    this.bytes = 0;
+  }
+}
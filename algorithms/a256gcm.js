@@ -31,7 +31,7 @@ export async function generateKey() {
  * @return {Promise<Object>} resolves to `{ciphertext, iv, tag}`.
  */
 export async function encrypt({data, additionalData, cek}) {
-  cek = _importCek({cek, usages: ['encrypt']});
+  cek = await _importCek({cek, usages: ['encrypt']});
 
   // NIST Special Publication 800-38D 8.2.2 RGB Construction of IV allows for
   // 96-bit IVs to be randomly generated; should this recommendation change
@@ -78,11 +78,11 @@ export async function decrypt({ciphertext, iv, tag, additionalData, cek}) {
     throw new Error('Invalid or missing "tag".');
   }
 
-  cek = _importCek({cek, usages: ['decrypt']});
+  cek = await _importCek({cek, usages: ['decrypt']});
 
   // decrypt `ciphertext`
-  const tagLength = tag.length;
-  const encrypted = new Uint8Array(ciphertext.length + tagLength);
+  const tagLength = tag.length * 8;
+  const encrypted = new Uint8Array(ciphertext.length + tag.length);
   encrypted.set(ciphertext);
   encrypted.set(tag, ciphertext.length);
   const decrypted = new Uint8Array(await crypto.subtle.decrypt(
@@ -90,7 +90,7 @@ export async function decrypt({ciphertext, iv, tag, additionalData, cek}) {
   return decrypted;
 }
 
-function _importCek({cek, usages}) {
+async function _importCek({cek, usages}) {
   if(cek instanceof CryptoKey) {
     // already imported
     return cek;
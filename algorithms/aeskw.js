@@ -0,0 +1,63 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+export const JWE_ALG = 'A256KW';
+
+/**
+ * Wraps a content encryption key (CEK) using the given 256-bit AES-KW key
+ * encryption key (KEK).
+ *
+ * @param {Uint8Array} kek the raw key encryption key to use.
+ * @param {Uint8Array|CryptoKey} cek the content encryption key to wrap.
+ *
+ * @return {Promise<Uint8Array>} resolves to the wrapped key.
+ */
+export async function wrapKey({kek, cek}) {
+  kek = await _importKek({kek, usages: ['wrapKey']});
+
+  // WebCrypto can only wrap a `CryptoKey`, so import the raw CEK bytes as
+  // an extractable key of matching length; its algorithm is irrelevant here
+  if(!(cek instanceof CryptoKey)) {
+    cek = await _importRawKey(cek);
+  }
+  return new Uint8Array(
+    await crypto.subtle.wrapKey('raw', cek, kek, {name: 'AES-KW'}));
+}
+
+/**
+ * Unwraps a content encryption key (CEK) using the given 256-bit AES-KW key
+ * encryption key (KEK).
+ *
+ * @param {Uint8Array} kek the raw key encryption key to use.
+ * @param {Uint8Array} wrappedKey the wrapped content encryption key.
+ *
+ * @return {Promise<Uint8Array>} resolves to the raw unwrapped key.
+ */
+export async function unwrapKey({kek, wrappedKey}) {
+  if(!(wrappedKey instanceof Uint8Array)) {
+    throw new TypeError('"wrappedKey" must be a Uint8Array.');
+  }
+  kek = await _importKek({kek, usages: ['unwrapKey']});
+  const cek = await crypto.subtle.unwrapKey(
+    'raw', wrappedKey, kek, {name: 'AES-KW'},
+    {name: 'AES-GCM', length: 256}, true, ['encrypt']);
+  return new Uint8Array(await crypto.subtle.exportKey('raw', cek));
+}
+
+async function _importKek({kek, usages}) {
+  if(!(kek instanceof Uint8Array && kek.length === 32)) {
+    throw new TypeError('"kek" must be a 256-bit Uint8Array.');
+  }
+  return crypto.subtle.importKey(
+    'raw', kek, {name: 'AES-KW', length: 256}, false, usages);
+}
+
+async function _importRawKey(key) {
+  if(!(key instanceof Uint8Array && key.length === 32)) {
+    throw new TypeError('"cek" must be a CryptoKey or 256-bit Uint8Array.');
+  }
+  return crypto.subtle.importKey(
+    'raw', key, {name: 'AES-GCM', length: 256}, true, ['encrypt']);
+}
@@ -3,8 +3,10 @@
  */
 'use strict';
 
+// Note: No longer the recommended algorithm; superseded by XChaCha20Poly1305
+// (see `xc20p.js`) but still supported so existing data can be decrypted
+
 // TODO: replace with forge once available?
-// TODO: replace with XChaCha20Poly1305 once available
 import {ChaCha20Poly1305, KEY_LENGTH} from '@stablelib/chacha20poly1305';
 
 export const JWE_ENC = 'C20P';
@@ -41,8 +43,8 @@ export async function encrypt({data, additionalData, cek}) {
   const cipher = new ChaCha20Poly1305(cek);
   // Note: Uses a random value here as a counter is not viable -- multiple
   // recipients may be trying to update at the same time and use the same
-  // counter breaking security; using XChaCha20Poly1305 once available will
-  // further reduce chances of a collision as it has a 192-bit IV
+  // counter breaking security; XChaCha20Poly1305 further reduces chances of
+  // a collision as it has a 192-bit IV
   const iv = crypto.getRandomValues(new Uint8Array(cipher.nonceLength));
 
   // encrypt data
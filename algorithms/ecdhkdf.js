@@ -0,0 +1,112 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import base64url from 'base64url-universal';
+import * as aeskw from './aeskw.js';
+import * as p256 from './p256.js';
+import * as x25519 from './x25519.js';
+
+export const JWE_ALG = 'ECDH-ES+A256KW';
+
+const CURVES = {
+  [p256.JWK_CRV]: p256,
+  [x25519.JWK_CRV]: x25519
+};
+
+/**
+ * Wraps a content encryption key (CEK) for a recipient using ECDH-ES+A256KW.
+ * An ephemeral key pair is generated on the recipient's curve and its public
+ * key is returned for use as the `epk` JWE header.
+ *
+ * @param {Uint8Array|CryptoKey} cek the content encryption key to wrap.
+ * @param {Object} publicKey the recipient's public key as an X25519 or P-256
+ *   JWK.
+ *
+ * @return {Promise<Object>} resolves to `{epk, encryptedKey}` where
+ *   `encryptedKey` is base64url-encoded.
+ */
+export async function wrapKey({cek, publicKey}) {
+  const curve = _getCurve(publicKey);
+  const {privateKey, publicKey: epk} = await curve.generateKeyPair();
+  const secret = await curve.deriveSecret({privateKey, publicKey});
+  const kek = await deriveKey({secret});
+  const wrappedKey = await aeskw.wrapKey({kek, cek});
+  return {epk, encryptedKey: base64url.encode(wrappedKey)};
+}
+
+/**
+ * Unwraps a content encryption key (CEK) that was wrapped using
+ * ECDH-ES+A256KW.
+ *
+ * @param {Object} keyAgreementKey a key agreement key API with `id` and
+ *   `deriveSecret`.
+ * @param {Object} epk the ephemeral public key JWK from the JWE header.
+ * @param {String} encryptedKey the base64url-encoded wrapped key.
+ *
+ * @return {Promise<Uint8Array>} resolves to the unwrapped key.
+ */
+export async function unwrapKey({keyAgreementKey, epk, encryptedKey}) {
+  // validates `epk`
+  _getCurve(epk);
+  const secret = await keyAgreementKey.deriveSecret({publicKey: epk});
+  const kek = await deriveKey({secret});
+  return aeskw.unwrapKey({kek, wrappedKey: base64url.decode(encryptedKey)});
+}
+
+/**
+ * Derives a 256-bit key encryption key from an ECDH shared secret using the
+ * Concat KDF from NIST.800-56A as profiled by RFC 7518 Section 4.6.2.
+ *
+ * @param {Uint8Array} secret the ECDH shared secret (`Z`).
+ * @param {Uint8Array} [producerInfo] optional `apu` bytes.
+ * @param {Uint8Array} [consumerInfo] optional `apv` bytes.
+ *
+ * @return {Promise<Uint8Array>} resolves to the derived key.
+ */
+export async function deriveKey({
+  secret, producerInfo = new Uint8Array(), consumerInfo = new Uint8Array()
+}) {
+  if(!(secret instanceof Uint8Array)) {
+    throw new TypeError('"secret" must be a Uint8Array.');
+  }
+  const algorithmId = new TextEncoder().encode(JWE_ALG);
+  // a 256-bit key needs only one round of SHA-256, so counter is always 1
+  const input = _concat(
+    _uint32BE(1),
+    secret,
+    _uint32BE(algorithmId.length), algorithmId,
+    _uint32BE(producerInfo.length), producerInfo,
+    _uint32BE(consumerInfo.length), consumerInfo,
+    // `keydatalen` in bits
+    _uint32BE(256));
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+}
+
+function _getCurve(jwk) {
+  const curve = jwk && CURVES[jwk.crv];
+  if(!curve) {
+    throw new Error(
+      'Key agreement keys must be X25519 or P-256 JWKs ' +
+      `(got "${jwk && jwk.crv}").`);
+  }
+  return curve;
+}
+
+function _uint32BE(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value);
+  return bytes;
+}
+
+function _concat(...arrays) {
+  const result = new Uint8Array(
+    arrays.reduce((length, a) => length + a.length, 0));
+  let offset = 0;
+  for(const a of arrays) {
+    result.set(a, offset);
+    offset += a.length;
+  }
+  return result;
+}
@@ -0,0 +1,44 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+export const JWK_CRV = 'P-256';
+
+const ECDH_PARAMS = {name: 'ECDH', namedCurve: JWK_CRV};
+
+/**
+ * Generates a P-256 key pair for use with ECDH key agreement.
+ *
+ * @return {Promise<Object>} resolves to `{privateKey, publicKey}` where
+ *   `privateKey` is a non-extractable CryptoKey and `publicKey` is a JWK.
+ */
+export async function generateKeyPair() {
+  const {privateKey, publicKey} = await crypto.subtle.generateKey(
+    ECDH_PARAMS, false, ['deriveBits']);
+  const {kty, crv, x, y} = await crypto.subtle.exportKey('jwk', publicKey);
+  return {privateKey, publicKey: {kty, crv, x, y}};
+}
+
+/**
+ * Derives a shared secret via P-256 ECDH.
+ *
+ * @param {CryptoKey} privateKey the local private key.
+ * @param {Object} publicKey the remote public key as a JWK.
+ *
+ * @return {Promise<Uint8Array>} resolves to the shared secret.
+ */
+export async function deriveSecret({privateKey, publicKey}) {
+  if(!(privateKey instanceof CryptoKey)) {
+    throw new TypeError('"privateKey" must be a CryptoKey.');
+  }
+  if(!(publicKey && publicKey.kty === 'EC' && publicKey.crv === JWK_CRV &&
+    typeof publicKey.x === 'string' && typeof publicKey.y === 'string')) {
+    throw new TypeError('"publicKey" must be a P-256 JWK.');
+  }
+  const {kty, crv, x, y} = publicKey;
+  const remoteKey = await crypto.subtle.importKey(
+    'jwk', {kty, crv, x, y}, ECDH_PARAMS, false, []);
+  return new Uint8Array(await crypto.subtle.deriveBits(
+    {...ECDH_PARAMS, public: remoteKey}, privateKey, 256));
+}
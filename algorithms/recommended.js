@@ -3,4 +3,4 @@
  */
 'use strict';
 
-export * from './c20p.js';
+export * from './xc20p.js';
@@ -0,0 +1,50 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import base64url from 'base64url-universal';
+import {
+  generateKeyPairFromSeed, sharedKey, SECRET_KEY_LENGTH
+} from '@stablelib/x25519';
+
+export const JWK_CRV = 'X25519';
+
+/**
+ * Generates an X25519 key pair for use with ECDH key agreement.
+ *
+ * @return {Promise<Object>} resolves to `{privateKey, publicKey}` where
+ *   `privateKey` is a Uint8Array and `publicKey` is a JWK.
+ */
+export async function generateKeyPair() {
+  const seed = crypto.getRandomValues(new Uint8Array(SECRET_KEY_LENGTH));
+  const {secretKey, publicKey} = generateKeyPairFromSeed(seed);
+  return {
+    privateKey: secretKey,
+    publicKey: {
+      kty: 'OKP',
+      crv: JWK_CRV,
+      x: base64url.encode(publicKey)
+    }
+  };
+}
+
+/**
+ * Derives a shared secret via X25519 ECDH.
+ *
+ * @param {Uint8Array} privateKey the local private key.
+ * @param {Object} publicKey the remote public key as a JWK.
+ *
+ * @return {Promise<Uint8Array>} resolves to the shared secret.
+ */
+export async function deriveSecret({privateKey, publicKey}) {
+  if(!(privateKey instanceof Uint8Array)) {
+    throw new TypeError('"privateKey" must be a Uint8Array.');
+  }
+  if(!(publicKey && publicKey.kty === 'OKP' && publicKey.crv === JWK_CRV &&
+    typeof publicKey.x === 'string')) {
+    throw new TypeError('"publicKey" must be an X25519 JWK.');
+  }
+  // reject all-zero output from small order public keys
+  return sharedKey(privateKey, base64url.decode(publicKey.x), true);
+}
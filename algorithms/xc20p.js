@@ -3,39 +3,33 @@
  */
 'use strict';
 
-/*
-Note: XSalsa20-Poly1305 is an AE (Authenticated Encryption) algorithm, not
-an AEAD (Authenticated Encryption and Associated Data) algorithm, making it
-incompatible with a requirement for a JWE (JOSE Web Encryption) `protected`
-clear text header.
-*/
-
 // TODO: replace with forge once available?
-import {secretbox} from 'tweetnacl';
+import {XChaCha20Poly1305, KEY_LENGTH} from '@stablelib/xchacha20poly1305';
 
-export const JWE_ENC = 'XS20P';
+export const JWE_ENC = 'XC20P';
 
 /**
  * Generates a content encryption key (CEK). The 256-bit key is intended to be
- * used as a SecretBox (aka XSalsa20-Poly1305) key.
+ * used as an XChaCha20Poly1305 (draft-irtf-cfrg-xchacha) key.
  *
  * @return {Promise<Uint8Array>} resolves to the generated key.
  */
 export async function generateKey() {
   // generate content encryption key
-  return crypto.getRandomValues(new Uint8Array(secretbox.keyLength));
+  return crypto.getRandomValues(new Uint8Array(KEY_LENGTH));
 }
 
 /**
  * Encrypts some data. The data will be encrypted using the given 256-bit
- * SecretBox (aka XSalsa20-Poly1305) content encryption key (CEK).
+ * XChaCha20Poly1305 (draft-irtf-cfrg-xchacha) content encryption key (CEK).
  *
  * @param {Uint8Array} data the data to encrypt.
+ * @param {Uint8Array} additionalData optional additional authentication data.
  * @param {Uint8Array} the content encryption key to use.
  *
  * @return {Promise<Object>} resolves to `{ciphertext, iv, tag}`.
  */
-export async function encrypt({data, cek}) {
+export async function encrypt({data, additionalData, cek}) {
   if(!(data instanceof Uint8Array)) {
     throw new TypeError('"data" must be a Uint8Array.');
   }
@@ -43,15 +37,19 @@ export async function encrypt({data, cek}) {
     throw new TypeError('"cek" must be a Uint8Array.');
   }
 
-  const iv = crypto.getRandomValues(new Uint8Array(secretbox.nonceLength));
+  const cipher = new XChaCha20Poly1305(cek);
+  // Note: Uses a random value here as a counter is not viable -- multiple
+  // recipients may be trying to update at the same time and use the same
+  // counter breaking security; the 192-bit nonce makes random collisions
+  // negligible even with many concurrent writers
+  const iv = crypto.getRandomValues(new Uint8Array(cipher.nonceLength));
 
   // encrypt data
-  const encrypted = secretbox(data, iv, cek);
+  const encrypted = cipher.seal(iv, data, additionalData);
 
   // split ciphertext and tag
-  const tagBytes = secretbox.overheadLength;
-  const ciphertext = encrypted.subarray(0, encrypted.length - tagBytes);
-  const tag = encrypted.subarray(encrypted.length - tagBytes);
+  const ciphertext = encrypted.subarray(0, encrypted.length - cipher.tagLength);
+  const tag = encrypted.subarray(encrypted.length - cipher.tagLength);
 
   return {
     ciphertext,
@@ -62,16 +60,18 @@ export async function encrypt({data, cek}) {
 
 /**
  * Decrypts some encrypted data. The data must have been encrypted using
- * the given SecretBox (aka XSalsa20-Poly1305) content encryption key (CEK).
+ * the given XChaCha20Poly1305 (draft-irtf-cfrg-xchacha) content encryption
+ * key (CEK).
  *
  * @param {Uint8Array} ciphertext the data to decrypt.
  * @param {Uint8Array} iv the initialization vector (aka nonce).
  * @param {Uint8Array} tag the authentication tag.
+ * @param {Uint8Array} additionalData optional additional authentication data.
  * @param {Uint8Array} cek the content encryption key to use.
  *
  * @return {Promise<Uint8Array>} the decrypted data.
  */
-export async function decrypt({ciphertext, iv, tag, cek}) {
+export async function decrypt({ciphertext, iv, tag, additionalData, cek}) {
   if(!(iv instanceof Uint8Array)) {
     throw new Error('Invalid or missing "iv".');
   }
@@ -86,8 +86,9 @@ export async function decrypt({ciphertext, iv, tag, cek}) {
   }
 
   // decrypt `ciphertext`
-  const encrypted = new Uint8Array(ciphertext.length + tag.length);
+  const cipher = new XChaCha20Poly1305(cek);
+  const encrypted = new Uint8Array(ciphertext.length + cipher.tagLength);
   encrypted.set(ciphertext);
   encrypted.set(tag, ciphertext.length);
-  return secretbox.open(encrypted, iv, cek);
+  return cipher.open(iv, encrypted, additionalData);
 }
@@ -3,5 +3,12 @@
  */
 'use strict';
 
+export {Cipher} from './Cipher.js';
 export {DataHub} from './DataHub.js';
+export {DataHubSync} from './DataHubSync.js';
 export {DataHubService} from './DataHubService.js';
+export {KeyAgreementKey} from './KeyAgreementKey.js';
+export {AxiosTransport} from './transports/AxiosTransport.js';
+export {FetchTransport} from './transports/FetchTransport.js';
+export {IndexedDbTransport} from './transports/IndexedDbTransport.js';
+export {MemoryTransport} from './transports/MemoryTransport.js';
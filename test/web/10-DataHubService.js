@@ -1,7 +1,7 @@
 /*!
  * Copyright (c) 2018-2019 Digital Bazaar, Inc. All rights reserved.
  */
-import {DataHubService} from 'bedrock-web-data-hub';
+import {DataHubService, MemoryTransport} from 'bedrock-web-data-hub';
 import {mock} from './mock.js';
 
 describe('DataHubService', () => {
@@ -30,6 +30,43 @@ describe('DataHubService', () => {
     config.hmac.should.be.an('object');
   });
 
+  it('should create data hub storage with a cipher version', async () => {
+    const dhs = new DataHubService();
+    const {kek, hmac} = mock.keys;
+    const config = await dhs.create({
+      config: {
+        sequence: 0,
+        controller: mock.accountId,
+        kek: {id: kek.id, algorithm: kek.algorithm},
+        hmac: {id: hmac.id, algorithm: hmac.algorithm},
+        cipher: {version: 'fips'}
+      }
+    });
+    config.should.be.an('object');
+    config.cipher.should.deep.equal({version: 'fips'});
+  });
+
+  it('should reject an unsupported cipher version', async () => {
+    const dhs = new DataHubService();
+    const {kek, hmac} = mock.keys;
+    let err;
+    try {
+      await dhs.create({
+        config: {
+          sequence: 0,
+          controller: mock.accountId,
+          kek: {id: kek.id, algorithm: kek.algorithm},
+          hmac: {id: hmac.id, algorithm: hmac.algorithm},
+          cipher: {version: 'unknown'}
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotSupportedError');
+  });
+
   it('should get data hub storage', async () => {
     const dhs = new DataHubService();
     const {kek, hmac} = mock.keys;
@@ -81,5 +118,41 @@ describe('DataHubService', () => {
     config.hmac.should.be.an('object');
   });
 
+  it('should send requests using a given transport', async () => {
+    const transport = new MemoryTransport();
+    transport.route({
+      method: 'GET',
+      path: '/data-hubs/:dataHubId',
+      handler: ({params}) => ({data: {id: params.dataHubId}})
+    });
+    transport.route({
+      method: 'PATCH',
+      path: '/data-hubs/:dataHubId',
+      handler: () => ({status: 409})
+    });
+    const dhs = new DataHubService({transport});
+    const config = await dhs.get({id: 'test'});
+    config.should.eql({id: 'test'});
+
+    let err;
+    try {
+      await dhs.update({id: 'test', sequence: 0, patch: []});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('InvalidStateError');
+
+    err = null;
+    try {
+      await dhs.setStatus({id: 'test', status: 'deleted'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('HTTPError');
+    err.status.should.equal(404);
+  });
+
   // TODO: add more tests: getAll, update, setStatus
 });
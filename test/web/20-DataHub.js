@@ -1,7 +1,12 @@
 /*!
  * Copyright (c) 2018-2019 Digital Bazaar, Inc. All rights reserved.
  */
-import {DataHub} from 'bedrock-web-data-hub';
+import {
+  Cipher, DataHub, KeyAgreementKey, MemoryTransport
+} from 'bedrock-web-data-hub';
+import {Ed25519KeyPair} from 'crypto-ld';
+import jsigs from 'jsonld-signatures';
+import ocapld from 'ocapld';
 import {mock} from './mock.js';
 
 describe('DataHub', () => {
@@ -18,6 +23,43 @@ describe('DataHub', () => {
     result.should.equals(true);
   });
 
+  it('should create a data hub with a cipher version', async () => {
+    const dataHub = await mock.createDataHub({cipher: {version: 'fips'}});
+    dataHub.config.cipher.should.deep.equal({version: 'fips'});
+    dataHub.cipher.version.should.equal('fips');
+    dataHub.strictCipher.should.equal(true);
+  });
+
+  it('should reject a cipher version that does not match', async () => {
+    let err;
+    try {
+      await mock.createDataHub(
+        {cipher: {version: 'fips'}, cipherVersion: 'recommended'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+  });
+
+  it('should reject a document with a disallowed algorithm', async () => {
+    const dataHub = await mock.createDataHub();
+    const doc = {id: 'foo', content: {someKey: 'someValue'}};
+    await dataHub.insert({doc});
+    const fipsHub = new DataHub({
+      config: {...dataHub.config, cipher: {version: 'fips'}},
+      kek: dataHub.kek,
+      hmac: dataHub.indexHelper.hmac
+    });
+    let err;
+    try {
+      await fipsHub.get({id: doc.id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+  });
+
   it('should ensure two new indexes', async () => {
     const dataHub = await mock.createDataHub();
     const {indexHelper} = dataHub;
@@ -356,4 +398,930 @@ describe('DataHub', () => {
     docs[0].content.should.deep.equal({indexedKey: 'value1'});
     docs[1].content.should.deep.equal({indexedKey: 'value2'});
   });
+
+  it('should rotate the KEK for every document', async () => {
+    const dataHub = await mock.createDataHub();
+    const oldKek = dataHub.kek;
+    await dataHub.insert({doc: {id: 'doc1', content: {someKey: 'value1'}}});
+    await dataHub.insert({doc: {id: 'doc2', content: {someKey: 'value2'}}});
+    const newKek = await mock.keys.master.generateKey({type: 'kek'});
+    const progress = [];
+    const result = await dataHub.rotateKek(
+      {oldKek, newKek, onProgress: p => progress.push(p)});
+    result.should.deep.equal({processed: 2, rotated: 2});
+    progress.length.should.equal(2);
+    progress[1].lastId.should.equal('doc2');
+    dataHub.kek.should.equal(newKek);
+    dataHub.config.kek.id.should.equal(newKek.id);
+    const decrypted = await dataHub.get({id: 'doc1'});
+    decrypted.sequence.should.equal(1);
+    decrypted.jwe.recipients.length.should.equal(1);
+    decrypted.jwe.recipients[0].header.kid.should.equal(newKek.id);
+    decrypted.content.should.deep.equal({someKey: 'value1'});
+  });
+
+  it('should skip documents whose KEK was already rotated', async () => {
+    const dataHub = await mock.createDataHub();
+    const oldKek = dataHub.kek;
+    await dataHub.insert({doc: {id: 'doc1', content: {someKey: 'value1'}}});
+    const newKek = await mock.keys.master.generateKey({type: 'kek'});
+    await dataHub.rotateKek({oldKek, newKek});
+    const result = await dataHub.rotateKek({oldKek, newKek});
+    result.should.deep.equal({processed: 1, rotated: 0});
+  });
+
+  it('should reject a document with a swapped JWE', async () => {
+    const dataHub = await mock.createDataHub();
+    await dataHub.insert({doc: {id: 'doc1', content: {someKey: 'value1'}}});
+    const doc2 = await dataHub.insert(
+      {doc: {id: 'doc2', content: {someKey: 'value2'}}});
+    // simulate a malicious storage server
+    const {documents} = mock.dataHubStorage.dataHubs.get(dataHub.config.id);
+    documents.get('doc1').jwe = doc2.jwe;
+    let err;
+    try {
+      await dataHub.get({id: 'doc1'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('IntegrityError');
+  });
+
+  it('should reject a document that was rolled back', async () => {
+    const dataHub = await mock.createDataHub();
+    const version1 = await dataHub.insert(
+      {doc: {id: 'foo', content: {someKey: 'value1'}}});
+    await dataHub.update({doc: {...version1, content: {someKey: 'value2'}}});
+    // simulate a malicious storage server
+    const {documents} = mock.dataHubStorage.dataHubs.get(dataHub.config.id);
+    documents.get('foo').jwe = version1.jwe;
+    let err;
+    try {
+      await dataHub.get({id: 'foo'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('IntegrityError');
+  });
+
+  it('should get a document written without bound parameters', async () => {
+    const dataHub = await mock.createDataHub();
+    const {kek} = dataHub;
+    const jwe = await dataHub.cipher.encryptObject(
+      {obj: {someKey: 'someValue'}, kek});
+    const {documents} = mock.dataHubStorage.dataHubs.get(dataHub.config.id);
+    documents.set('legacy', {id: 'legacy', sequence: 0, indexed: [], jwe});
+    const decrypted = await dataHub.get({id: 'legacy'});
+    decrypted.content.should.deep.equal({someKey: 'someValue'});
+
+    // unless bound parameters are required
+    const strictHub = new DataHub({
+      config: dataHub.config, kek, hmac: dataHub.indexHelper.hmac,
+      requireBoundJwe: true
+    });
+    let err;
+    try {
+      await strictHub.get({id: 'legacy'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('IntegrityError');
+  });
+
+  it('should blind equal values of different attributes', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex({attribute: ['email', 'name']});
+    const doc = {id: 'foo', content: {email: 'same', name: 'same'}};
+    const inserted = await dataHub.insert({doc});
+    const [entry] = inserted.indexed;
+    entry.blindingVersion.should.equal(2);
+    entry.attributes.length.should.equal(2);
+    entry.attributes[0].value.should.not.equal(entry.attributes[1].value);
+  });
+
+  it('should migrate index entries to the latest blinding version',
+    async () => {
+      const legacyHub = await mock.createDataHub({blindingVersion: 1});
+      legacyHub.ensureIndex({attribute: 'indexedKey'});
+      await legacyHub.insert(
+        {doc: {id: 'doc1', content: {indexedKey: 'value1'}}});
+      const dataHub = new DataHub({
+        config: legacyHub.config,
+        kek: legacyHub.kek,
+        hmac: legacyHub.indexHelper.hmac
+      });
+      dataHub.ensureIndex({attribute: 'indexedKey'});
+      // no blinding version is recorded, so version 1 entries are found too
+      let docs = await dataHub.find({equals: {indexedKey: 'value1'}});
+      docs.length.should.equal(1);
+      docs[0].indexed[0].blindingVersion.should.equal(1);
+      const result = await dataHub.migrateIndex();
+      result.should.deep.equal({processed: 1, migrated: 1});
+      dataHub.config.blindingVersion.should.equal(2);
+      docs = await dataHub.find({equals: {indexedKey: 'value1'}});
+      docs.length.should.equal(1);
+      docs[0].indexed[0].blindingVersion.should.equal(2);
+
+      // once recorded, version 1 entries are no longer found
+      await legacyHub.insert(
+        {doc: {id: 'doc2', content: {indexedKey: 'value1'}}});
+      const migratedHub = new DataHub({
+        config: dataHub.config,
+        kek: legacyHub.kek,
+        hmac: legacyHub.indexHelper.hmac
+      });
+      migratedHub.ensureIndex({attribute: 'indexedKey'});
+      docs = await migratedHub.find({equals: {indexedKey: 'value1'}});
+      docs.map(({id}) => id).should.eql(['doc1']);
+    });
+
+  it('should check uniqueness across blinding versions until migrated',
+    async () => {
+      const legacyHub = await mock.createDataHub({blindingVersion: 1});
+      legacyHub.ensureIndex({attribute: 'email', unique: true});
+      await legacyHub.insert({doc: {id: 'doc1', content: {email: 'a'}}});
+      const dataHub = new DataHub({
+        config: legacyHub.config,
+        kek: legacyHub.kek,
+        hmac: legacyHub.indexHelper.hmac
+      });
+      dataHub.ensureIndex({attribute: 'email', unique: true});
+      let err;
+      try {
+        await dataHub.insert({doc: {id: 'doc2', content: {email: 'a'}}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+      // a doc's own version 1 entry is not a duplicate
+      const doc1 = await dataHub.get({id: 'doc1'});
+      doc1.content.name = 'b';
+      await dataHub.update({doc: doc1});
+      await dataHub.insert({doc: {id: 'doc2', content: {email: 'c'}}});
+    });
+
+  it('should reject two documents with same compound attribute', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex(
+      {attribute: ['issuer', 'serialNumber'], compound: true, unique: true});
+    const doc1 = {id: 'doc1', content: {issuer: 'issuer1', serialNumber: 1}};
+    const doc2 = {id: 'doc2', content: {issuer: 'issuer1', serialNumber: 2}};
+    const doc3 = {id: 'doc3', content: {issuer: 'issuer1', serialNumber: 1}};
+    const inserted = await dataHub.insert({doc: doc1});
+    inserted.indexed[0].attributes.length.should.equal(1);
+    inserted.indexed[0].attributes[0].unique.should.equal(true);
+    await dataHub.insert({doc: doc2});
+    let err;
+    try {
+      await dataHub.insert({doc: doc3});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+  });
+
+  it('should find a document using a compound index', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex(
+      {attribute: ['issuer', 'serialNumber'], compound: true});
+    await dataHub.insert(
+      {doc: {id: 'doc1', content: {issuer: 'issuer1', serialNumber: 1}}});
+    await dataHub.insert(
+      {doc: {id: 'doc2', content: {issuer: 'issuer1', serialNumber: 2}}});
+    const docs = await dataHub.find(
+      {equals: {issuer: 'issuer1', serialNumber: 2}});
+    docs.length.should.equal(1);
+    docs[0].id.should.equal('doc2');
+  });
+
+  it('should find a document using a nested attribute', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex({attribute: 'credentialSubject.id'});
+    await dataHub.insert({
+      doc: {id: 'doc1', content: {credentialSubject: {id: 'subject1'}}}
+    });
+    await dataHub.insert({
+      doc: {id: 'doc2', content: {credentialSubject: {id: 'subject2'}}}
+    });
+    let docs = await dataHub.find(
+      {equals: {'credentialSubject.id': 'subject2'}});
+    docs.length.should.equal(1);
+    docs[0].id.should.equal('doc2');
+    // JSON Pointers name the same index
+    docs = await dataHub.find({equals: {'/credentialSubject/id': 'subject1'}});
+    docs.length.should.equal(1);
+    docs[0].id.should.equal('doc1');
+    docs = await dataHub.find({has: '/credentialSubject/id'});
+    docs.length.should.equal(2);
+  });
+
+  it('should index arrays along a nested attribute path', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex({attribute: 'meta.tags.name'});
+    await dataHub.insert({
+      doc: {
+        id: 'doc1',
+        content: {meta: {tags: [{name: 'tag1'}, {name: 'tag2'}]}}
+      }
+    });
+    const docs = await dataHub.find({equals: {'meta.tags.name': 'tag2'}});
+    docs.length.should.equal(1);
+    docs[0].id.should.equal('doc1');
+  });
+
+  it('should distinguish escaped dots from nested attributes', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex({attribute: 'meta\\.type'});
+    await dataHub.insert({doc: {id: 'doc1', content: {'meta.type': 'a'}}});
+    await dataHub.insert({doc: {id: 'doc2', content: {meta: {type: 'a'}}}});
+    const docs = await dataHub.find({equals: {'meta\\.type': 'a'}});
+    docs.length.should.equal(1);
+    docs[0].id.should.equal('doc1');
+  });
+
+  it('should prefer top-level attributes named like paths', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex({attribute: ['meta.type', '/path', 'C:\\dir']});
+    await dataHub.insert({
+      doc: {
+        id: 'doc1',
+        content: {'meta.type': 'a', '/path': 'b', 'C:\\dir': 'c'}
+      }
+    });
+    await dataHub.insert({
+      doc: {
+        id: 'doc2',
+        content: {'meta.type': 'x', meta: {type: 'a'}, '/path': 'b'}
+      }
+    });
+    let docs = await dataHub.find({equals: {'meta.type': 'a', '/path': 'b'}});
+    docs.map(({id}) => id).should.eql(['doc1']);
+    docs = await dataHub.find({equals: {'C:\\dir': 'c'}});
+    docs.map(({id}) => id).should.eql(['doc1']);
+  });
+
+  it('should find documents using a structured query', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex({attribute: ['type', 'expires', 'revoked']});
+    await dataHub.insert({doc: {id: 'doc1', content: {type: 'X', expires: 1}}});
+    await dataHub.insert({
+      doc: {id: 'doc2', content: {type: 'X', expires: 1, revoked: true}}
+    });
+    await dataHub.insert({doc: {id: 'doc3', content: {type: 'X'}}});
+    await dataHub.insert({doc: {id: 'doc4', content: {type: 'Y', expires: 1}}});
+    const query = {
+      and: [
+        {has: 'expires'},
+        {equals: {type: 'X'}},
+        {not: {equals: {revoked: true}}}
+      ]
+    };
+    const {server, client} = dataHub.explain({query});
+    server.should.eql({equals: {type: 'X'}});
+    client.should.eql({
+      and: [{has: 'expires'}, {not: {equals: {revoked: true}}}]
+    });
+    const docs = await dataHub.find({query});
+    docs.length.should.equal(1);
+    docs[0].id.should.equal('doc1');
+  });
+
+  it('should find documents matching both "equals" and "has"', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex({attribute: ['type', 'revoked']});
+    await dataHub.insert({doc: {id: 'doc1', content: {type: 'X'}}});
+    await dataHub.insert(
+      {doc: {id: 'doc2', content: {type: 'X', revoked: false}}});
+    const docs = await dataHub.find({equals: {type: 'X'}, has: 'revoked'});
+    docs.length.should.equal(1);
+    docs[0].id.should.equal('doc2');
+  });
+
+  it('should reject a query with no indexed terms', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex({attribute: 'revoked'});
+    let err;
+    try {
+      await dataHub.find({query: {not: {has: 'revoked'}}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotSupportedError');
+  });
+
+  it('should find documents using a date range', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex({attribute: 'issued', type: 'date'});
+    await dataHub.insert({doc: {id: 'doc1', content: {issued: '2024-12-31'}}});
+    await dataHub.insert({doc: {id: 'doc2', content: {issued: '2025-01-01'}}});
+    await dataHub.insert({doc: {id: 'doc3', content: {issued: '2025-06-30'}}});
+    await dataHub.insert({doc: {id: 'doc4', content: {issued: '2025-07-01'}}});
+    const docs = await dataHub.find(
+      {range: {issued: {gte: '2025-01-01', lt: '2025-07-01'}}});
+    docs.map(({id}) => id).sort().should.eql(['doc2', 'doc3']);
+  });
+
+  it('should find documents using a date range with no upper bound',
+    async () => {
+      const dataHub = await mock.createDataHub();
+      dataHub.ensureIndex({attribute: 'issued', type: 'date'});
+      const future = `${new Date().getUTCFullYear() + 10}-03-01`;
+      await dataHub.insert(
+        {doc: {id: 'doc1', content: {issued: '2024-12-31'}}});
+      await dataHub.insert(
+        {doc: {id: 'doc2', content: {issued: '2025-06-30'}}});
+      await dataHub.insert({doc: {id: 'doc3', content: {issued: future}}});
+      const range = {issued: {gte: '2025-01-01'}};
+      const {server} = dataHub.explain({query: {range}});
+      should.exist(server);
+      const docs = await dataHub.find({range});
+      docs.map(({id}) => id).sort().should.eql(['doc2', 'doc3']);
+    });
+
+  it('should find documents using a prefix', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex({attribute: 'name', type: 'prefix', maxLength: 3});
+    await dataHub.insert({doc: {id: 'doc1', content: {name: 'Alice'}}});
+    await dataHub.insert({doc: {id: 'doc2', content: {name: 'Alfred'}}});
+    await dataHub.insert({doc: {id: 'doc3', content: {name: 'Bob'}}});
+    let docs = await dataHub.find({prefix: {name: 'Al'}});
+    docs.map(({id}) => id).sort().should.eql(['doc1', 'doc2']);
+    // prefixes longer than `maxLength` are checked after decryption
+    docs = await dataHub.find({prefix: {name: 'Alic'}});
+    docs.length.should.equal(1);
+    docs[0].id.should.equal('doc1');
+  });
+
+  it('should persist an index in the data hub config', async () => {
+    const dataHub1 = await mock.createDataHub();
+    const {config, kek, indexHelper: {hmac}} = dataHub1;
+    // created before the index is persisted so its config is out of date
+    const dataHub2 = new DataHub({config, kek, hmac});
+    await dataHub1.ensureIndex(
+      {attribute: 'indexedKey', unique: true, persist: true});
+    await dataHub2.ensureIndex(
+      {attribute: 'issued', type: 'date', persist: true});
+    dataHub2.config.indexes.should.eql([
+      {attribute: 'indexedKey', unique: true, blindingVersion: 2},
+      {
+        attribute: 'issued', type: 'date',
+        granularity: ['year', 'month', 'day'], blindingVersion: 2
+      }
+    ]);
+    // indexes stored by other clients are ensured as well
+    dataHub2.indexHelper.indexes.has('indexedKey').should.equal(true);
+
+    // a new instance loads the indexes from the config
+    const dataHub3 = new DataHub({config: dataHub2.config, kek, hmac});
+    await dataHub3.insert(
+      {doc: {id: 'doc1', content: {indexedKey: 'value1'}}});
+    const docs = await dataHub1.find({equals: {indexedKey: 'value1'}});
+    docs.length.should.equal(1);
+    docs[0].id.should.equal('doc1');
+  });
+
+  it('should reindex existing documents', async () => {
+    const dataHub = await mock.createDataHub();
+    await dataHub.insert({doc: {id: 'doc1', content: {indexedKey: 'value1'}}});
+    await dataHub.insert({doc: {id: 'doc2', content: {someKey: 'value2'}}});
+    dataHub.ensureIndex({attribute: 'indexedKey'});
+    let docs = await dataHub.find({equals: {indexedKey: 'value1'}});
+    docs.length.should.equal(0);
+    const progress = [];
+    const result = await dataHub.reindex({
+      attributes: ['indexedKey'],
+      onProgress: event => progress.push(event)
+    });
+    result.should.eql({processed: 2, reindexed: 1});
+    progress.length.should.equal(2);
+    progress[1].lastId.should.equal('doc2');
+    docs = await dataHub.find({equals: {indexedKey: 'value1'}});
+    docs.length.should.equal(1);
+    docs[0].id.should.equal('doc1');
+    // entries that are up to date are skipped
+    (await dataHub.reindex()).should.eql({processed: 2, reindexed: 0});
+  });
+
+  it('should abort a reindex', async () => {
+    const dataHub = await mock.createDataHub();
+    await dataHub.insert({doc: {id: 'doc1', content: {indexedKey: 'value1'}}});
+    const controller = new AbortController();
+    controller.abort();
+    let err;
+    try {
+      await dataHub.reindex({signal: controller.signal});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('AbortError');
+  });
+
+  it('should rotate the HMAC key', async () => {
+    const dataHub1 = await mock.createDataHub();
+    dataHub1.ensureIndex({attribute: 'indexedKey'});
+    await dataHub1.insert({doc: {id: 'doc1', content: {indexedKey: 'value1'}}});
+
+    const {config, kek, indexHelper: {hmac}} = dataHub1;
+    const nextHmac = await mock.keys.master.generateKey({type: 'hmac'});
+    const dataHub2 = new DataHub({config, kek, hmac: [hmac, nextHmac]});
+    dataHub2.ensureIndex({attribute: 'indexedKey'});
+    const inserted = await dataHub2.insert(
+      {doc: {id: 'doc2', content: {indexedKey: 'value2'}}});
+    inserted.indexed.map(e => e.hmac.id).should.eql([hmac.id, nextHmac.id]);
+    await dataHub2.reindex();
+
+    const result = await dataHub2.finalizeHmacRotation();
+    result.should.eql({processed: 2, finalized: 2});
+    dataHub2.config.hmac.id.should.equal(nextHmac.id);
+    const docs = await dataHub2.find({equals: {indexedKey: 'value1'}});
+    docs.length.should.equal(1);
+    docs[0].indexed.length.should.equal(1);
+    docs[0].indexed[0].hmac.id.should.equal(nextHmac.id);
+  });
+
+  it('should find documents indexed using either HMAC during a rotation',
+    async () => {
+      const dataHub1 = await mock.createDataHub();
+      dataHub1.ensureIndex({attribute: 'indexedKey'});
+      for(let i = 0; i < 3; ++i) {
+        await dataHub1.insert(
+          {doc: {id: `doc${i}`, content: {indexedKey: 'value1'}}});
+      }
+
+      // `doc1` is reindexed using both HMACs and `doc3` is only indexed
+      // using both; `doc0` and `doc2` are only indexed using the first
+      const {config, kek, indexHelper: {hmac}} = dataHub1;
+      const nextHmac = await mock.keys.master.generateKey({type: 'hmac'});
+      const dataHub2 = new DataHub({config, kek, hmac: [hmac, nextHmac]});
+      dataHub2.ensureIndex({attribute: 'indexedKey'});
+      await dataHub2.update({doc: await dataHub2.get({id: 'doc1'})});
+      await dataHub2.insert(
+        {doc: {id: 'doc3', content: {indexedKey: 'value1'}}});
+
+      const equals = {indexedKey: 'value1'};
+      const docs = await dataHub2.find({equals});
+      docs.map(({id}) => id).should.eql(['doc0', 'doc1', 'doc2', 'doc3']);
+      const page = await dataHub2.find({equals, limit: 2, after: 'doc0'});
+      page.map(({id}) => id).should.eql(['doc1', 'doc2']);
+      const count = await dataHub2.find({equals, count: true});
+      count.should.equal(4);
+    });
+
+  it('should find documents a page at a time', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex({attribute: 'indexedKey'});
+    for(let i = 0; i < 5; ++i) {
+      await dataHub.insert(
+        {doc: {id: `doc${i}`, content: {indexedKey: 'value1'}}});
+    }
+    const equals = {indexedKey: 'value1'};
+    const page1 = await dataHub.find({equals, limit: 2});
+    page1.map(({id}) => id).should.eql(['doc0', 'doc1']);
+    const page2 = await dataHub.find({equals, limit: 2, after: 'doc1'});
+    page2.map(({id}) => id).should.eql(['doc2', 'doc3']);
+
+    const ids = [];
+    for await (const doc of dataHub.findIterator({equals, pageSize: 2})) {
+      ids.push(doc.id);
+    }
+    ids.should.eql(['doc0', 'doc1', 'doc2', 'doc3', 'doc4']);
+  });
+
+  it('should count matching documents', async () => {
+    const dataHub = await mock.createDataHub();
+    dataHub.ensureIndex({attribute: 'indexedKey'});
+    await dataHub.insert({doc: {id: 'doc1', content: {indexedKey: 'value1'}}});
+    await dataHub.insert({doc: {id: 'doc2', content: {indexedKey: 'value1'}}});
+    const count = await dataHub.find(
+      {equals: {indexedKey: 'value1'}, count: true});
+    count.should.equal(2);
+  });
+
+  it('should modify a document despite concurrent changes', async () => {
+    const dataHub = await mock.createDataHub();
+    await dataHub.modify({
+      id: 'doc1',
+      createIfMissing: true,
+      mutate: ({content}) => {
+        content.count = 0;
+      }
+    });
+    const increment = () => dataHub.modify({
+      id: 'doc1',
+      mutate: async ({content}) => ({count: content.count + 1})
+    });
+    await Promise.all([increment(), increment(), increment()]);
+    const doc = await dataHub.get({id: 'doc1'});
+    doc.content.count.should.equal(3);
+    doc.sequence.should.equal(3);
+  });
+
+  it('should not retry creating a document with a duplicate value',
+    async () => {
+      const dataHub = await mock.createDataHub();
+      dataHub.ensureIndex({attribute: 'email', unique: true});
+      await dataHub.insert({doc: {id: 'doc1', content: {email: 'a@x.test'}}});
+      let err;
+      try {
+        await dataHub.modify({
+          id: 'doc2',
+          createIfMissing: true,
+          mutate: () => ({email: 'a@x.test'})
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+    });
+
+  it('should fail to modify a nonexistent document', async () => {
+    const dataHub = await mock.createDataHub();
+    let err;
+    try {
+      await dataHub.modify({id: 'doc1', mutate: () => {}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+
+  it('should insert, get, and delete many documents', async () => {
+    const dataHub = await mock.createDataHub();
+    await _testBulkOperations({dataHub});
+  });
+
+  it('should use a batch endpoint for many documents', async () => {
+    const dataHub = await mock.createDataHub({capabilities: ['batch']});
+    await _testBulkOperations({dataHub});
+  });
+
+  it('should reject operations that the data hub does not support',
+    async () => {
+      const dataHub = await mock.createDataHub({capabilities: []});
+      const operations = [
+        () => dataHub.reindex(),
+        () => dataHub.migrateIndex(),
+        () => dataHub.ensureIndex({attribute: 'a', persist: true}),
+        () => dataHub.delegate({invoker: 'did:example:bob'}),
+        () => dataHub.revoke({capability: 'urn:zcap:1'}),
+        () => dataHub.watch(),
+        () => dataHub.findIterator().next()
+      ];
+      for(const operation of operations) {
+        let err;
+        try {
+          await operation();
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotSupportedError');
+      }
+    });
+
+  it('should sign requests using an invocation signer', async () => {
+    const requests = [];
+    const transport = new MemoryTransport();
+    transport.route({
+      method: 'GET',
+      path: '/data-hubs/:dataHubId/documents/:docId',
+      handler: request => {
+        requests.push(request);
+        return {status: 404};
+      }
+    });
+    const invocationSigner = {
+      id: 'urn:test:key',
+      sign: async ({data}) => new Uint8Array(
+        await crypto.subtle.digest('SHA-256', data))
+    };
+    const {config, kek, indexHelper: {hmac}} = await mock.createDataHub();
+    const dataHub = new DataHub(
+      {config, kek, hmac, transport, invocationSigner});
+    let err;
+    try {
+      await dataHub.get({id: 'doc1'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+    requests.length.should.equal(1);
+    const {headers} = requests[0];
+    headers['capability-invocation'].should.equal(
+      `zcap id="${dataHub.urls.root}",action="read"`);
+    headers.authorization.should.match(/^Signature keyId="urn:test:key",/);
+    headers.authorization.should.include(
+      'headers="(key-id) (created) (expires) (request-target) host ' +
+      'capability-invocation"');
+  });
+
+  it('should update its config using its capability', async () => {
+    const requests = [];
+    const transport = new MemoryTransport();
+    transport.route({
+      method: 'PATCH',
+      path: '/data-hubs/:dataHubId',
+      handler: request => {
+        requests.push(request);
+        return {status: 204};
+      }
+    });
+    const invocationSigner = {
+      id: 'urn:test:key',
+      sign: async ({data}) => new Uint8Array(
+        await crypto.subtle.digest('SHA-256', data))
+    };
+    const {config, kek, indexHelper: {hmac}} = await mock.createDataHub();
+    const dataHub = new DataHub({
+      config, kek, hmac, transport, invocationSigner,
+      capability: 'urn:zcap:delegated'
+    });
+    await dataHub.ensureIndex({attribute: 'indexedKey', persist: true});
+    requests.length.should.equal(1);
+    requests[0].headers['capability-invocation'].should.equal(
+      'zcap id="urn:zcap:delegated",action="write"');
+  });
+
+  it('should delegate and revoke a capability', async () => {
+    const controller = 'did:example:alice';
+    const key = await Ed25519KeyPair.generate(
+      {id: `${controller}#key-1`, controller});
+    const invocationSigner = key.signer();
+    invocationSigner.id = key.id;
+    const {config, kek, indexHelper: {hmac}} = await mock.createDataHub();
+    const dataHub = new DataHub({config, kek, hmac, invocationSigner});
+    const zcap = await dataHub.delegate(
+      {invoker: 'did:example:bob', id: 'doc1', allowedAction: 'read'});
+    const root = new URL(dataHub.urls.root, window.location.href).href;
+    zcap.id.should.be.a('string');
+    zcap.parentCapability.should.equal(root);
+    zcap.invocationTarget.should.equal(`${root}/documents/doc1`);
+    zcap.invoker.should.equal('did:example:bob');
+    zcap.allowedAction.should.equal('read');
+    zcap.proof.type.should.equal('Ed25519Signature2018');
+    zcap.proof.proofPurpose.should.equal('capabilityDelegation');
+    zcap.proof.verificationMethod.should.equal(key.id);
+    zcap.proof.capabilityChain.should.eql([root]);
+
+    // the root capability, the key, and its controller are all that is
+    // needed to verify the proof
+    const {SECURITY_CONTEXT_V2_URL: context} = jsigs;
+    const publicKey = {
+      '@context': context,
+      id: key.id,
+      type: key.type,
+      controller,
+      publicKeyBase58: key.publicKeyBase58
+    };
+    const documents = {
+      [root]: {
+        '@context': context,
+        id: root,
+        invocationTarget: root,
+        controller
+      },
+      [controller]: {
+        '@context': context,
+        id: controller,
+        capabilityDelegation: [key.id],
+        publicKey: [publicKey]
+      },
+      [key.id]: publicKey
+    };
+    const documentLoader = jsigs.extendContextLoader(async url => {
+      if(!documents[url]) {
+        throw new Error(`Document "${url}" not found.`);
+      }
+      return {contextUrl: null, documentUrl: url, document: documents[url]};
+    });
+    const verify = capability => {
+      const suite = new jsigs.suites.Ed25519Signature2018();
+      const purpose = new ocapld.CapabilityDelegation(
+        {expectedRootCapability: root, suite});
+      return jsigs.verify(capability, {suite, purpose, documentLoader});
+    };
+    (await verify(zcap)).verified.should.equal(true);
+    (await verify({...zcap, allowedAction: 'write'})).verified
+      .should.equal(false);
+
+    (await dataHub.revoke({capability: zcap})).should.equal(true);
+    (await dataHub.revoke({capability: zcap.id})).should.equal(false);
+  });
+
+  it('should share and unshare a document', async () => {
+    const dataHub = await mock.createDataHub();
+    const inserted = await dataHub.insert(
+      {doc: {id: 'doc1', content: {someKey: 'someValue'}}});
+    const [{encrypted_key: wrappedKey}] = inserted.jwe.recipients;
+    const recipientKey = await KeyAgreementKey.generate(
+      {id: 'did:example:auditor#key-1'});
+
+    const shared = await dataHub.share({id: 'doc1', recipientKey});
+    shared.sequence.should.equal(1);
+    shared.jwe.recipients.length.should.equal(2);
+    shared.jwe.recipients[0].encrypted_key.should.equal(wrappedKey);
+    const cipher = new Cipher();
+    let doc = await dataHub.get({id: 'doc1'});
+    const content = await cipher.decryptObject(
+      {jwe: doc.jwe, keyAgreementKey: recipientKey});
+    content.should.eql({someKey: 'someValue'});
+
+    const unshared = await dataHub.unshare(
+      {id: 'doc1', recipientKeyId: recipientKey.id});
+    unshared.sequence.should.equal(2);
+    unshared.jwe.recipients.length.should.equal(1);
+    unshared.jwe.recipients[0].encrypted_key.should.not.equal(wrappedKey);
+    doc = await dataHub.get({id: 'doc1'});
+    doc.content.should.eql({someKey: 'someValue'});
+    let err;
+    try {
+      await cipher.decryptObject({jwe: doc.jwe, keyAgreementKey: recipientKey});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+  });
+
+  it('should cache decrypted documents and keys', async () => {
+    const {config, kek, indexHelper: {hmac}} = await mock.createDataHub();
+    let unwrapped = 0;
+    const countingKek = {
+      id: kek.id,
+      algorithm: kek.algorithm,
+      wrap: options => kek.wrap(options),
+      unwrap: options => {
+        unwrapped++;
+        return kek.unwrap(options);
+      }
+    };
+    const dataHub = new DataHub(
+      {config, kek: countingKek, hmac, cache: {maxDocuments: 1}});
+    await dataHub.insert({doc: {id: 'doc1', content: {someKey: 'value1'}}});
+    await dataHub.insert({doc: {id: 'doc2', content: {someKey: 'value2'}}});
+
+    // the CEKs were cached when they were wrapped
+    let doc = await dataHub.get({id: 'doc1'});
+    doc.content.should.eql({someKey: 'value1'});
+    unwrapped.should.equal(0);
+
+    // cached copies cannot be changed via returned docs
+    doc.content.someKey = 'changed';
+    doc = await dataHub.get({id: 'doc1'});
+    doc.content.should.eql({someKey: 'value1'});
+
+    // updates invalidate cached docs
+    await dataHub.update({doc: {...doc, content: {someKey: 'value3'}}});
+    doc = await dataHub.get({id: 'doc1'});
+    doc.sequence.should.equal(1);
+    doc.content.should.eql({someKey: 'value3'});
+
+    dataHub.clearCache();
+    await dataHub.get({id: 'doc2'});
+    await dataHub.get({id: 'doc2'});
+    unwrapped.should.equal(1);
+  });
+
+  it('should validate content using a registered schema', async () => {
+    const dataHub = await mock.createDataHub();
+    // written before the schema was registered
+    await dataHub.insert({doc: {id: 'doc1', content: {type: 'Example'}}});
+    dataHub.registerSchema({
+      type: 'Example',
+      schema: {
+        type: 'object',
+        required: ['subject'],
+        properties: {
+          subject: {
+            type: 'object',
+            properties: {id: {type: 'string'}}
+          }
+        }
+      }
+    });
+
+    let err;
+    try {
+      await dataHub.insert({
+        doc: {id: 'doc2', content: {type: 'Example', subject: {id: 1}}}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('ValidationError');
+    err.errors.map(({path}) => path).should.eql(['/subject/id']);
+
+    await dataHub.insert({
+      doc: {id: 'doc2', content: {type: 'Example', subject: {id: 'a'}}}
+    });
+    (await dataHub.get({id: 'doc1'})).content.should.eql({type: 'Example'});
+
+    const {config, kek, indexHelper: {hmac}} = dataHub;
+    const strictHub = new DataHub(
+      {config, kek, hmac, validateOnDecrypt: true});
+    strictHub.registerSchema(
+      {type: 'Example', schema: {type: 'object', required: ['subject']}});
+    err = null;
+    try {
+      await strictHub.get({id: 'doc1'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('ValidationError');
+    err.errors.map(({path}) => path).should.eql(['/subject']);
+  });
+
+  it('should watch for changes and reconnect', async () => {
+    const {config, kek, indexHelper: {hmac}} = await mock.createDataHub(
+      {capabilities: ['changes']});
+    const {content, ...encrypted} = await new DataHub(
+      {config, kek, hmac}).insert({doc: {id: 'doc1', content: {a: 1}}});
+    // the first request fails, the second returns two changes
+    const requests = [];
+    const responses = [
+      {status: 503},
+      {
+        status: 200,
+        data: {
+          changes: [
+            {type: 'insert', id: 'doc1', doc: encrypted, cursor: 'c1'},
+            {type: 'delete', id: 'doc2', cursor: 'c2'}
+          ],
+          cursor: 'c2'
+        }
+      }
+    ];
+    const transport = new MemoryTransport();
+    transport.route({
+      method: 'POST',
+      path: '/data-hubs/:dataHubId/changes',
+      handler: request => {
+        requests.push(request.data);
+        return responses.shift() || {status: 200, data: {changes: []}};
+      }
+    });
+    const dataHub = new DataHub({config, kek, hmac, transport});
+    const events = [];
+    for await (const event of dataHub.watch({since: 'c0', interval: 0})) {
+      events.push(event);
+      if(events.length === 2) {
+        break;
+      }
+    }
+    events.map(({type, doc: {id}, cursor}) => ({type, id, cursor})).should.eql([
+      {type: 'insert', id: 'doc1', cursor: 'c1'},
+      {type: 'delete', id: 'doc2', cursor: 'c2'}
+    ]);
+    events[0].doc.content.should.eql(content);
+    requests.should.eql([
+      {since: 'c0', limit: 100},
+      {since: 'c0', limit: 100}
+    ]);
+  });
 });
+
+async function _testBulkOperations({dataHub}) {
+  dataHub.ensureIndex({attribute: 'indexedKey', unique: true});
+  await dataHub.insert({doc: {id: 'doc1', content: {indexedKey: 'value1'}}});
+  const inserted = await dataHub.insertMany({docs: [
+    {id: 'doc1', content: {indexedKey: 'value1'}},
+    {id: 'doc2', content: {indexedKey: 'value2'}},
+    {id: 'doc3', content: {indexedKey: 'value3'}}
+  ]});
+  inserted.map(({id, ok}) => ({id, ok})).should.eql([
+    {id: 'doc1', ok: false},
+    {id: 'doc2', ok: true},
+    {id: 'doc3', ok: true}
+  ]);
+  inserted[0].error.name.should.equal('DuplicateError');
+
+  const updated = await dataHub.updateMany({docs: [
+    {...inserted[1].doc, content: {indexedKey: 'value4'}},
+    {...inserted[2].doc, sequence: 5}
+  ]});
+  updated.map(({ok}) => ok).should.eql([true, false]);
+  updated[1].error.name.should.equal('InvalidStateError');
+
+  const docs = await dataHub.getMany({ids: ['doc2', 'doc4']});
+  docs[0].ok.should.equal(true);
+  docs[0].doc.content.should.eql({indexedKey: 'value4'});
+  docs[1].ok.should.equal(false);
+  docs[1].error.name.should.equal('NotFoundError');
+
+  const deleted = await dataHub.deleteMany({ids: ['doc1', 'doc4']});
+  deleted.should.eql([
+    {id: 'doc1', ok: true, deleted: true},
+    {id: 'doc4', ok: true, deleted: false}
+  ]);
+}
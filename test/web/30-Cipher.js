@@ -0,0 +1,180 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+import base64url from 'base64url-universal';
+import {Cipher, KeyAgreementKey} from 'bedrock-web-data-hub';
+import * as c20p from 'bedrock-web-data-hub/algorithms/c20p.js';
+import {mock} from './mock.js';
+
+describe('Cipher', () => {
+  before(async () => {
+    await mock.init();
+  });
+  after(async () => {
+    mock.server.shutdown();
+    // remove what the tests registered
+    Cipher.unregisterVersion('test');
+    Cipher.unregisterAlgorithm('TEST-C20P');
+  });
+
+  it('should encrypt and decrypt an object', async () => {
+    const cipher = new Cipher();
+    const {kek} = mock.keys;
+    const jwe = await cipher.encryptObject({obj: {someKey: 'someValue'}, kek});
+    jwe.recipients.length.should.equal(1);
+    const obj = await cipher.decryptObject({jwe, kek});
+    obj.should.deep.equal({someKey: 'someValue'});
+  });
+
+  it('should include additional protected header parameters', async () => {
+    const cipher = new Cipher();
+    const {kek} = mock.keys;
+    const jwe = await cipher.encryptObject({
+      obj: {someKey: 'someValue'}, kek,
+      protectedHeader: {id: 'foo', sequence: 1}
+    });
+    const header = cipher.getProtectedHeader({jwe});
+    header.should.deep.equal({enc: 'XC20P', id: 'foo', sequence: 1});
+    const obj = await cipher.decryptObject({jwe, kek});
+    obj.should.deep.equal({someKey: 'someValue'});
+  });
+
+  it('should encrypt using XC20P by default', async () => {
+    const cipher = new Cipher();
+    const {kek} = mock.keys;
+    const jwe = await cipher.encryptObject({obj: {someKey: 'someValue'}, kek});
+    const header = JSON.parse(new TextDecoder().decode(
+      base64url.decode(jwe.protected)));
+    header.enc.should.equal('XC20P');
+    // 192-bit nonce
+    jwe.iv.length.should.equal(32);
+  });
+
+  it('should decrypt an existing C20P JWE', async () => {
+    const legacyCipher = new Cipher();
+    legacyCipher.algorithm = c20p;
+    const {kek} = mock.keys;
+    const jwe = await legacyCipher.encryptObject(
+      {obj: {someKey: 'someValue'}, kek});
+    const cipher = new Cipher();
+    const obj = await cipher.decryptObject({jwe, kek});
+    obj.should.deep.equal({someKey: 'someValue'});
+  });
+
+  it('should register a new algorithm and version', async () => {
+    Cipher.registerAlgorithm({enc: 'TEST-C20P', module: c20p});
+    Cipher.registerVersion('test', 'TEST-C20P');
+    const cipher = new Cipher({version: 'test'});
+    cipher.algorithm.JWE_ENC.should.equal('TEST-C20P');
+    const {kek} = mock.keys;
+    const jwe = await cipher.encryptObject({obj: {someKey: 'someValue'}, kek});
+    const obj = await new Cipher().decryptObject({jwe, kek});
+    obj.should.deep.equal({someKey: 'someValue'});
+  });
+
+  it('should unregister an algorithm and version', async () => {
+    Cipher.registerAlgorithm({enc: 'TEST-UNREGISTER', module: c20p});
+    Cipher.registerVersion('test-unregister', 'TEST-UNREGISTER');
+    let err;
+    try {
+      Cipher.unregisterAlgorithm('TEST-UNREGISTER');
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('InvalidStateError');
+
+    Cipher.unregisterVersion('test-unregister').should.equal(true);
+    Cipher.unregisterAlgorithm('TEST-UNREGISTER').should.equal(true);
+    Cipher.unregisterAlgorithm('TEST-UNREGISTER').should.equal(false);
+    err = null;
+    try {
+      new Cipher({version: 'test-unregister'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotSupportedError');
+  });
+
+  it('should reject an incomplete algorithm module', async () => {
+    let err;
+    try {
+      Cipher.registerAlgorithm(
+        {enc: 'TEST-INVALID', module: {generateKey() {}}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.should.be.instanceof(TypeError);
+  });
+
+  it('should fail to decrypt an unsupported algorithm', async () => {
+    const cipher = new Cipher();
+    const {kek} = mock.keys;
+    const jwe = await cipher.encryptObject({obj: {someKey: 'someValue'}, kek});
+    jwe.protected = base64url.encode(
+      new TextEncoder().encode(JSON.stringify({enc: 'UNKNOWN'})));
+    let err;
+    try {
+      await cipher.decryptObject({jwe, kek});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotSupportedError');
+    err.algorithm.should.equal('UNKNOWN');
+    err.message.should.contain('"UNKNOWN"');
+  });
+
+  it('should wrap a new CEK for key agreement recipients', async () => {
+    const cipher = new Cipher();
+    const {kek} = mock.keys;
+    const x25519Key = await KeyAgreementKey.generate(
+      {id: 'urn:recipient:x25519', curve: 'X25519'});
+    const p256Key = await KeyAgreementKey.generate(
+      {id: 'urn:recipient:p256', curve: 'P-256'});
+    const publicKeys = {
+      [x25519Key.id]: x25519Key.publicKey,
+      [p256Key.id]: p256Key.publicKey
+    };
+    const keyResolver = async ({id}) => publicKeys[id];
+    const recipients = [
+      {header: {alg: kek.algorithm, kid: kek.id}},
+      {header: {alg: 'ECDH-ES+A256KW', kid: x25519Key.id}},
+      {header: {alg: 'ECDH-ES+A256KW', kid: p256Key.id}}
+    ];
+    const jwe = await cipher.encryptObject(
+      {obj: {someKey: 'someValue'}, kek, recipients, keyResolver});
+    jwe.recipients.length.should.equal(3);
+    for(const recipient of jwe.recipients) {
+      recipient.encrypted_key.should.be.a('string');
+    }
+    jwe.recipients[1].header.epk.crv.should.equal('X25519');
+    jwe.recipients[2].header.epk.crv.should.equal('P-256');
+
+    const expected = {someKey: 'someValue'};
+    (await cipher.decryptObject({jwe, kek})).should.deep.equal(expected);
+    (await cipher.decryptObject({jwe, keyAgreementKey: x25519Key}))
+      .should.deep.equal(expected);
+    (await cipher.decryptObject({jwe, keyAgreementKey: p256Key}))
+      .should.deep.equal(expected);
+  });
+
+  it('should fail to wrap a new CEK without a key resolver', async () => {
+    const cipher = new Cipher();
+    const {kek} = mock.keys;
+    const recipients = [
+      {header: {alg: kek.algorithm, kid: kek.id}},
+      {header: {alg: 'ECDH-ES+A256KW', kid: 'urn:recipient:unknown'}}
+    ];
+    let err;
+    try {
+      await cipher.encryptObject({obj: {}, kek, recipients});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.should.be.instanceof(TypeError);
+  });
+});
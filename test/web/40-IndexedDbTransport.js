@@ -0,0 +1,187 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  DataHub, DataHubService, IndexedDbTransport
+} from 'bedrock-web-data-hub';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+import FDBKeyRange from 'fake-indexeddb/lib/FDBKeyRange';
+import {mock} from './mock.js';
+
+describe('IndexedDbTransport', () => {
+  let transport;
+  before(async () => {
+    await mock.init();
+  });
+  after(async () => {
+    mock.server.shutdown();
+  });
+  beforeEach(async () => {
+    // use a new in-memory database for each test
+    transport = new IndexedDbTransport(
+      {indexedDB: new FDBFactory(), IDBKeyRange: FDBKeyRange});
+  });
+
+  it('should insert and get a document', async () => {
+    const dataHub = await _createDataHub({transport});
+    const inserted = await dataHub.insert(
+      {doc: {id: 'doc1', content: {someKey: 'someValue'}}});
+    inserted.sequence.should.equal(0);
+    const doc = await dataHub.get({id: 'doc1'});
+    doc.id.should.equal('doc1');
+    doc.sequence.should.equal(0);
+    doc.indexed.should.be.an('array');
+    doc.jwe.should.be.an('object');
+    doc.content.should.eql({someKey: 'someValue'});
+  });
+
+  it('should raise the same errors as remote storage', async () => {
+    const dataHub = await _createDataHub({transport});
+    dataHub.ensureIndex({attribute: 'indexedKey', unique: true});
+    const doc = await dataHub.insert(
+      {doc: {id: 'doc1', content: {indexedKey: 'value1'}}});
+
+    let err;
+    try {
+      await dataHub.insert(
+        {doc: {id: 'doc2', content: {indexedKey: 'value1'}}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+
+    await dataHub.update({doc});
+    err = null;
+    try {
+      await dataHub.update({doc});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('InvalidStateError');
+
+    (await dataHub.delete({id: 'doc1'})).should.equal(true);
+    err = null;
+    try {
+      await dataHub.get({id: 'doc1'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+
+  it('should find documents using blinded attributes', async () => {
+    const dataHub = await _createDataHub({transport});
+    dataHub.ensureIndex({attribute: ['indexedKey', 'otherKey']});
+    await dataHub.insert({doc: {id: 'doc1', content: {indexedKey: 'value1'}}});
+    await dataHub.insert({doc: {id: 'doc2', content: {otherKey: 'value2'}}});
+    await dataHub.insert({doc: {id: 'doc3', content: {indexedKey: 'value3'}}});
+
+    let docs = await dataHub.find({equals: {indexedKey: 'value1'}});
+    docs.map(({id}) => id).should.eql(['doc1']);
+    docs = await dataHub.find({has: 'indexedKey'});
+    docs.map(({id}) => id).should.eql(['doc1', 'doc3']);
+    const count = await dataHub.find({has: 'otherKey', count: true});
+    count.should.equal(1);
+  });
+
+  it('should get the changes after a cursor', async () => {
+    const dataHub = await _createDataHub({transport});
+    dataHub.ensureIndex({attribute: 'indexedKey'});
+    await dataHub.insert({doc: {id: 'doc1', content: {indexedKey: 'value1'}}});
+    const {changes, cursor} = await dataHub.getChanges();
+    changes.should.eql([]);
+
+    const doc2 = await dataHub.insert(
+      {doc: {id: 'doc2', content: {indexedKey: 'value2'}}});
+    await dataHub.insert({doc: {id: 'doc3', content: {otherKey: 'value3'}}});
+    await dataHub.update({doc: {...doc2, content: {indexedKey: 'value1'}}});
+    await dataHub.delete({id: 'doc1'});
+
+    // only the latest change to each document is returned
+    let page = await dataHub.getChanges({since: cursor, limit: 2});
+    page.changes.map(({type, doc: {id}}) => [type, id]).should.eql([
+      ['insert', 'doc3'], ['update', 'doc2']
+    ]);
+    page.changes[1].doc.content.should.eql({indexedKey: 'value1'});
+    page = await dataHub.getChanges({since: page.cursor, limit: 2});
+    page.changes.map(({type, doc: {id}}) => [type, id]).should.eql([
+      ['delete', 'doc1']
+    ]);
+
+    // deletions are matched using the document's last index entries
+    page = await dataHub.getChanges(
+      {equals: {indexedKey: 'value1'}, since: cursor});
+    page.changes.map(({type, doc: {id}}) => [type, id]).should.eql([
+      ['update', 'doc2'], ['delete', 'doc1']
+    ]);
+    page = await dataHub.getChanges({since: page.cursor});
+    page.changes.should.eql([]);
+  });
+
+  it('should get changes to documents indexed using blinding version 1',
+    async () => {
+      const dataHub = await _createDataHub({transport});
+      const {config, kek, indexHelper: {hmac}} = dataHub;
+      const legacyHub = new DataHub(
+        {config, kek, hmac, transport, blindingVersion: 1});
+      dataHub.ensureIndex({attribute: 'indexedKey'});
+      legacyHub.ensureIndex({attribute: 'indexedKey'});
+      const {cursor} = await dataHub.getChanges();
+      await legacyHub.insert(
+        {doc: {id: 'doc1', content: {indexedKey: 'value1'}}});
+      await dataHub.insert(
+        {doc: {id: 'doc2', content: {indexedKey: 'value1'}}});
+      await dataHub.insert(
+        {doc: {id: 'doc3', content: {indexedKey: 'value2'}}});
+
+      const {changes} = await dataHub.getChanges(
+        {equals: {indexedKey: 'value1'}, since: cursor});
+      changes.map(({doc: {id}}) => id).should.eql(['doc1', 'doc2']);
+    });
+
+  it('should reject revoking a capability', async () => {
+    const {config, kek, indexHelper: {hmac}} = await _createDataHub(
+      {transport});
+    const dataHub = new DataHub({
+      config: {...config, capabilities: ['authorizations']},
+      kek, hmac, transport
+    });
+    let err;
+    try {
+      await dataHub.revoke({capability: 'urn:zcap:1'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotSupportedError');
+  });
+
+  it('should save state apart from the documents', async () => {
+    const value = {outbox: [{id: 'doc1'}]};
+    await transport.setState({key: 'key1', value});
+    should.not.exist(await transport.getState({key: 'key2'}));
+    await transport.close();
+
+    // the state is kept when the database is opened again
+    const reopened = new IndexedDbTransport(
+      {indexedDB: transport.indexedDB, IDBKeyRange: FDBKeyRange});
+    (await reopened.getState({key: 'key1'})).should.eql(value);
+  });
+});
+
+async function _createDataHub({transport}) {
+  const {kek, hmac} = mock.keys;
+  const dhs = new DataHubService({transport});
+  const config = await dhs.create({
+    config: {
+      sequence: 0,
+      controller: mock.accountId,
+      kek: {id: kek.id, algorithm: kek.algorithm},
+      hmac: {id: hmac.id, algorithm: hmac.algorithm}
+    }
+  });
+  return new DataHub({config, kek, hmac, transport});
+}
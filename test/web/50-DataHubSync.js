@@ -0,0 +1,183 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  DataHub, DataHubService, DataHubSync, IndexedDbTransport
+} from 'bedrock-web-data-hub';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+import FDBKeyRange from 'fake-indexeddb/lib/FDBKeyRange';
+import {mock} from './mock.js';
+
+describe('DataHubSync', () => {
+  let local;
+  let remote;
+  let connection;
+  before(async () => {
+    await mock.init();
+  });
+  after(async () => {
+    mock.server.shutdown();
+  });
+  beforeEach(async () => {
+    // use separate in-memory databases for the local and remote data hubs;
+    // the remote one can be taken offline
+    connection = {online: true};
+    local = await _createDataHub({transport: _createTransport()});
+    const transport = _createTransport();
+    remote = await _createDataHub({
+      transport: {
+        request(options) {
+          if(!connection.online) {
+            return Promise.reject(new Error('Offline.'));
+          }
+          return transport.request(options);
+        }
+      }
+    });
+  });
+
+  it('should push local writes once back online', async () => {
+    const connectivity = new EventTarget();
+    const sync = new DataHubSync({local, remote, connectivity});
+    const statuses = [];
+    sync.addEventListener(
+      'statuschange', ({detail}) => statuses.push(detail.status));
+
+    connection.online = false;
+    await sync.insert({doc: {id: 'doc1', content: {someKey: 'someValue'}}});
+    let err;
+    try {
+      await sync.sync();
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NetworkError');
+    sync.status.should.equal('offline');
+
+    connection.online = true;
+    sync.start();
+    await new Promise(resolve => sync.addEventListener('statuschange', () => {
+      if(sync.status === 'idle') {
+        resolve();
+      }
+    }));
+    sync.stop();
+    const doc = await remote.get({id: 'doc1'});
+    doc.content.should.eql({someKey: 'someValue'});
+    statuses.should.eql(['syncing', 'offline', 'syncing', 'idle']);
+  });
+
+  it('should pull remote changes', async () => {
+    const sync = new DataHubSync({local, remote});
+    const changes = [];
+    sync.addEventListener('change', ({detail}) => changes.push(detail.id));
+    await remote.insert({doc: {id: 'doc1', content: {someKey: 'someValue'}}});
+    await remote.insert({doc: {id: 'doc2', content: {someKey: 'someValue'}}});
+    (await sync.sync()).should.eql({pushed: 0, pulled: 2});
+    (await local.get({id: 'doc1'})).content.should.eql({someKey: 'someValue'});
+
+    // later pulls only get the changes since the last one, so documents that
+    // have not changed are neither listed nor decrypted again
+    remote.findIterator = () => {
+      throw new Error('Remote documents listed.');
+    };
+    const decrypted = [];
+    const decrypt = remote._decrypt.bind(remote);
+    remote._decrypt = (doc, options) => {
+      decrypted.push(doc.id);
+      return decrypt(doc, options);
+    };
+    await remote.delete({id: 'doc1'});
+    (await sync.sync()).should.eql({pushed: 0, pulled: 1});
+    decrypted.should.eql([]);
+    let err;
+    try {
+      await local.get({id: 'doc1'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+    changes.should.eql(['doc1', 'doc2', 'doc1']);
+  });
+
+  it('should keep the sync state apart from the documents', async () => {
+    connection.online = false;
+    const sync1 = new DataHubSync({local, remote});
+    await sync1.insert({doc: {id: 'doc1', content: {someKey: 'someValue'}}});
+    const ids = [];
+    for await (const doc of local.findIterator()) {
+      ids.push(doc.id);
+    }
+    ids.should.eql(['doc1']);
+
+    // the outbox is loaded by another instance
+    connection.online = true;
+    const sync2 = new DataHubSync({local, remote});
+    (await sync2.sync()).should.eql({pushed: 1, pulled: 0});
+    (await remote.get({id: 'doc1'})).content.should.eql(
+      {someKey: 'someValue'});
+  });
+
+  it('should resolve conflicts using a given resolver', async () => {
+    const sync = new DataHubSync({
+      local, remote,
+      resolver: ({local, remote}) => ({...remote.content, ...local.content})
+    });
+    await sync.insert({doc: {id: 'doc1', content: {a: 1}}});
+    await sync.sync();
+
+    const remoteDoc = await remote.get({id: 'doc1'});
+    await remote.update({doc: {...remoteDoc, content: {a: 1, b: 2}}});
+    const localDoc = await local.get({id: 'doc1'});
+    await sync.update({doc: {...localDoc, content: {a: 3}}});
+    let conflict;
+    sync.addEventListener('conflict', ({detail}) => conflict = detail);
+    await sync.sync();
+
+    should.exist(conflict);
+    conflict.remote.content.should.eql({a: 1, b: 2});
+    conflict.content.should.eql({a: 3, b: 2});
+    (await remote.get({id: 'doc1'})).content.should.eql({a: 3, b: 2});
+    (await local.get({id: 'doc1'})).content.should.eql({a: 3, b: 2});
+  });
+
+  it('should keep both versions of a conflicting document', async () => {
+    const sync = new DataHubSync({local, remote, resolver: 'keep-both'});
+    await sync.insert({doc: {id: 'doc1', content: {a: 1}}});
+    await sync.sync();
+
+    const remoteDoc = await remote.get({id: 'doc1'});
+    await remote.update({doc: {...remoteDoc, content: {a: 2}}});
+    const localDoc = await local.get({id: 'doc1'});
+    await sync.update({doc: {...localDoc, content: {a: 3}}});
+    let conflict;
+    sync.addEventListener('conflict', ({detail}) => conflict = detail);
+    await sync.sync();
+
+    should.exist(conflict);
+    (await local.get({id: 'doc1'})).content.should.eql({a: 2});
+    (await remote.get({id: conflict.copyId})).content.should.eql({a: 3});
+    (await local.get({id: conflict.copyId})).content.should.eql({a: 3});
+  });
+});
+
+function _createTransport() {
+  return new IndexedDbTransport(
+    {indexedDB: new FDBFactory(), IDBKeyRange: FDBKeyRange});
+}
+
+async function _createDataHub({transport}) {
+  const {kek, hmac} = mock.keys;
+  const dhs = new DataHubService({transport});
+  const config = await dhs.create({
+    config: {
+      sequence: 0,
+      controller: mock.accountId,
+      kek: {id: kek.id, algorithm: kek.algorithm},
+      hmac: {id: hmac.id, algorithm: hmac.algorithm}
+    }
+  });
+  return new DataHub({config, kek, hmac, transport});
+}
@@ -40,8 +40,20 @@ mock.init = async () => {
   // mock backend for KMS
   mock.kms = new MockKmsService({server});
 
-  // mock data hub storage
+  // mock data hub storage; its query route does not support cursors or
+  // counts and its document update route does not check sequence numbers,
+  // so add these to its route handlers
+  const {post} = server;
+  server.post = function(path, handler, ...args) {
+    if(path.endsWith('/query')) {
+      handler = _pageQueryResults(handler);
+    } else if(path.endsWith('/documents/:docId')) {
+      handler = _checkSequence(handler, mock.dataHubStorage);
+    }
+    return post.call(this, path, handler, ...args);
+  };
   mock.dataHubStorage = new MockStorage({server, controller: accountId});
+  _addStorageRoutes({server, storage: mock.dataHubStorage});
 
   // only init keys once
   if(!mock.keys) {
@@ -60,8 +72,15 @@ mock.init = async () => {
   }
 };
 
+// the optional endpoints that the mock data hub storage supports, except for
+// batches, so that documents are sent separately by default
+mock.capabilities = ['list', 'updateConfig', 'authorizations'];
+
 mock.createDataHub = async (
-  {controller = mock.accountId, primary = false} = {}) => {
+  {
+    controller = mock.accountId, primary = false, cipher,
+    capabilities = mock.capabilities, ...options
+  } = {}) => {
   const dhs = new DataHubService();
   const {kek, hmac} = mock.keys;
   let config = {
@@ -73,6 +92,178 @@ mock.createDataHub = async (
   if(primary) {
     config.primary = true;
   }
+  if(cipher) {
+    config.cipher = cipher;
+  }
+  if(capabilities.length > 0) {
+    config.capabilities = capabilities;
+  }
   config = await dhs.create({config});
-  return new DataHub({config, kek, hmac});
+  return new DataHub({config, kek, hmac, ...options});
 };
+
+// adds data hub storage routes that `MockStorage` does not provide
+function _addStorageRoutes({server, storage}) {
+  const root = '/data-hubs';
+
+  // update a data hub config (only top-level patch paths are supported)
+  server.patch(`${root}/:dataHubId`, request => {
+    const dataHub = storage.dataHubs.get(request.params.dataHubId);
+    if(!dataHub) {
+      return [404];
+    }
+    const {sequence, patch} = JSON.parse(request.requestBody);
+    const {config} = dataHub;
+    if(sequence !== config.sequence) {
+      return [409];
+    }
+    for(const {op, path, value} of patch) {
+      const key = path.split('/')[1];
+      if(op === 'remove') {
+        delete config[key];
+      } else if(path.endsWith('/-')) {
+        config[key] = [...(config[key] || []), value];
+      } else {
+        config[key] = value;
+      }
+    }
+    config.sequence++;
+    return [204];
+  });
+
+  // update the index entry of a document
+  server.post(`${root}/:dataHubId/documents/:docId/index`, request => {
+    const dataHub = storage.dataHubs.get(request.params.dataHubId);
+    const doc = dataHub && dataHub.documents.get(request.params.docId);
+    if(!doc) {
+      return [404];
+    }
+    const entry = JSON.parse(request.requestBody);
+    if(entry.sequence !== doc.sequence) {
+      return [409];
+    }
+    storage.unindex({dataHub, doc});
+    const i = doc.indexed.findIndex(e => e.hmac.id === entry.hmac.id);
+    if(i === -1) {
+      doc.indexed.push(entry);
+    } else {
+      doc.indexed[i] = entry;
+    }
+    storage.store({dataHub, doc});
+    return [204];
+  });
+
+  // store a delegated authorization capability
+  server.post(`${root}/:dataHubId/authorizations`, request => {
+    const dataHub = storage.dataHubs.get(request.params.dataHubId);
+    if(!dataHub) {
+      return [404];
+    }
+    const zcap = JSON.parse(request.requestBody);
+    dataHub.zcaps = dataHub.zcaps || new Map();
+    dataHub.zcaps.set(zcap.id, zcap);
+    return [204];
+  });
+
+  // revoke a delegated authorization capability
+  server.delete(`${root}/:dataHubId/authorizations/:zcapId`, request => {
+    const dataHub = storage.dataHubs.get(request.params.dataHubId);
+    const zcaps = (dataHub && dataHub.zcaps) || new Map();
+    if(!zcaps.delete(decodeURIComponent(request.params.zcapId))) {
+      return [404];
+    }
+    return [204];
+  });
+
+  // perform a batch of document operations
+  server.post(`${root}/:dataHubId/batch`, request => {
+    const dataHub = storage.dataHubs.get(request.params.dataHubId);
+    if(!dataHub) {
+      return [404];
+    }
+    const {operations} = JSON.parse(request.requestBody);
+    const results = operations.map(({op, id, doc}) => {
+      const existing = dataHub.documents.get(id);
+      if(op === 'insert') {
+        try {
+          if(existing) {
+            throw new Error('Duplicate error.');
+          }
+          storage.store({dataHub, doc, create: true});
+        } catch(e) {
+          return {id, status: 409};
+        }
+        return {id, status: 201};
+      }
+      if(op === 'update') {
+        if(existing && doc.sequence !== existing.sequence + 1) {
+          return {id, status: 409};
+        }
+        storage.store({dataHub, doc});
+        return {id, status: 204};
+      }
+      if(!existing) {
+        return {id, status: 404};
+      }
+      if(op === 'get') {
+        return {id, status: 200, doc: existing};
+      }
+      storage.unindex({dataHub, doc: existing});
+      dataHub.documents.delete(id);
+      return {id, status: 204};
+    });
+    return [200, {json: true}, {results}];
+  });
+
+  // list documents in a data hub in order of their IDs
+  server.get(`${root}/:dataHubId/documents`, request => {
+    const dataHub = storage.dataHubs.get(request.params.dataHubId);
+    if(!dataHub) {
+      return [404];
+    }
+    const {after} = request.queryParams;
+    const limit = parseInt(request.queryParams.limit, 10) || 100;
+    const docs = [...dataHub.documents.values()]
+      .filter(doc => after === undefined || doc.id > after)
+      .sort((a, b) => a.id < b.id ? -1 : 1)
+      .slice(0, limit);
+    return [200, {json: true}, docs];
+  });
+}
+
+// wraps a query route handler to order its results by document ID and to
+// support `after`, `limit`, and `count`
+function _pageQueryResults(handler) {
+  return request => {
+    const [status, headers, results] = handler(request);
+    if(status !== 200) {
+      return [status, headers, results];
+    }
+    const {after, limit, count} = JSON.parse(request.requestBody);
+    let docs = results
+      .filter(doc => after === undefined || doc.id > after)
+      .sort((a, b) => a.id < b.id ? -1 : 1);
+    if(count) {
+      return [200, headers, {count: docs.length}];
+    }
+    if(limit !== undefined) {
+      docs = docs.slice(0, limit);
+    }
+    return [200, headers, docs];
+  };
+}
+
+// wraps a document update route handler to reject updates whose sequence
+// number does not follow that of the stored document
+function _checkSequence(handler, storage) {
+  return request => {
+    const dataHubId = request.url.split('/')[2];
+    const dataHub = storage.dataHubs.get(dataHubId);
+    const existing = dataHub && dataHub.documents.get(request.params.docId);
+    const {sequence} = JSON.parse(request.requestBody);
+    if(existing && sequence !== existing.sequence + 1) {
+      return [409];
+    }
+    return handler(request);
+  };
+}
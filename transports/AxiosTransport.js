@@ -0,0 +1,50 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import axios from 'axios';
+
+export class AxiosTransport {
+  /**
+   * Creates a new AxiosTransport that sends HTTP requests using axios.
+   *
+   * A transport is any object with a `request` method like this one; its
+   * Promise must resolve to the response for any HTTP status and reject only
+   * if no response was received.
+   *
+   * @param {Object} [axios] the axios instance to use, e.g. one created via
+   *   `axios.create` with default headers (default: the global instance).
+   *
+   * @return {AxiosTransport}.
+   */
+  constructor({axios: instance = axios} = {}) {
+    this.axios = instance;
+  }
+
+  /**
+   * Sends an HTTP request.
+   *
+   * @param {String} [method='GET'] the HTTP method.
+   * @param {String} url the URL to send the request to.
+   * @param {Object} [params] query parameters; those that are `undefined`
+   *   are omitted.
+   * @param {Object} [headers] HTTP headers.
+   * @param {*} [data] a body to send as JSON.
+   *
+   * @return {Promise<Object>} resolves to the response as
+   *   `{status, headers, data}`.
+   */
+  async request({method = 'GET', url, params, headers, data}) {
+    const response = await this.axios.request({
+      method, url, params, headers, data,
+      // error statuses are mapped by the caller
+      validateStatus: () => true
+    });
+    return {
+      status: response.status,
+      headers: response.headers,
+      data: response.data
+    };
+  }
+}
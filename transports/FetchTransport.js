@@ -0,0 +1,69 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+export class FetchTransport {
+  /**
+   * Creates a new FetchTransport that sends HTTP requests using `fetch`.
+   *
+   * @param {Function} [fetch] the `fetch` function to use (default: the
+   *   global `fetch`).
+   * @param {Object} [headers] HTTP headers to add to every request, e.g. to
+   *   authenticate.
+   *
+   * @return {FetchTransport}.
+   */
+  constructor({fetch: fetchFn, headers = {}} = {}) {
+    this.fetch = fetchFn || ((...args) => fetch(...args));
+    this.headers = headers;
+  }
+
+  /**
+   * Sends an HTTP request; see `AxiosTransport.request`.
+   *
+   * @param {String} [method='GET'] the HTTP method.
+   * @param {String} url the URL to send the request to.
+   * @param {Object} [params] query parameters; those that are `undefined`
+   *   are omitted.
+   * @param {Object} [headers] HTTP headers.
+   * @param {*} [data] a body to send as JSON.
+   *
+   * @return {Promise<Object>} resolves to the response as
+   *   `{status, headers, data}`.
+   */
+  async request({method = 'GET', url, params = {}, headers = {}, data}) {
+    headers = {...this.headers, ...headers};
+    const options = {method: method.toUpperCase(), headers};
+    if(data !== undefined) {
+      if(!Object.keys(headers).some(h => h.toLowerCase() === 'content-type')) {
+        headers['Content-Type'] = 'application/json';
+      }
+      options.body = JSON.stringify(data);
+    }
+    const response = await this.fetch(_addParams(url, params), options);
+    const responseHeaders = {};
+    response.headers.forEach((value, name) => responseHeaders[name] = value);
+    const text = await response.text();
+    const contentType = responseHeaders['content-type'] || '';
+    return {
+      status: response.status,
+      headers: responseHeaders,
+      data: (text && contentType.includes('json')) ? JSON.parse(text) :
+        (text || undefined)
+    };
+  }
+}
+
+// appends the defined query parameters to a URL
+function _addParams(url, params) {
+  const query = Object.keys(params)
+    .filter(key => params[key] !== undefined)
+    .map(key =>
+      `${encodeURIComponent(key)}=${encodeURIComponent(String(params[key]))}`)
+    .join('&');
+  if(!query) {
+    return url;
+  }
+  return url + (url.includes('?') ? '&' : '?') + query;
+}
@@ -0,0 +1,554 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import base64url from 'base64url-universal';
+import {MemoryTransport} from './MemoryTransport.js';
+
+const DB_VERSION = 3;
+
+// the optional endpoints that are served, which are listed in the
+// `capabilities` of each data hub config that is created
+const CAPABILITIES = ['batch', 'changes', 'list', 'updateConfig'];
+
+export class IndexedDbTransport {
+  /**
+   * Creates a new IndexedDbTransport that serves the data hub storage API
+   * from IndexedDB instead of sending requests to a remote server, so that
+   * `DataHub` and `DataHubService` can be used offline. Documents are stored
+   * encrypted, in the same shape as in remote storage (`id`, `sequence`,
+   * `indexed`, and `jwe`), and are found by matching their blinded index
+   * entries; conflicts result in the same errors as with remote storage.
+   *
+   * The data hubs' URLs must start with `/data-hubs` (the default `baseUrl`
+   * of `DataHub` and `DataHubService`). Authorization capabilities are not
+   * supported: requests are not checked and the routes to store and revoke
+   * delegated capabilities respond with a 501 status, which raises a
+   * `NotSupportedError`.
+   *
+   * @param {String} [dbName='bedrock-web-data-hub'] the name of the
+   *   IndexedDB database to use.
+   * @param {IDBFactory} [indexedDB] the IndexedDB implementation to use, e.g.
+   *   an in-memory shim for tests (default: the global `indexedDB`).
+   * @param {Function} [IDBKeyRange] the `IDBKeyRange` that goes with
+   *   `indexedDB` (default: the global `IDBKeyRange`).
+   *
+   * @return {IndexedDbTransport}.
+   */
+  constructor({
+    dbName = 'bedrock-web-data-hub',
+    indexedDB: factory = typeof indexedDB === 'undefined' ?
+      undefined : indexedDB,
+    IDBKeyRange: keyRange = typeof IDBKeyRange === 'undefined' ?
+      undefined : IDBKeyRange
+  } = {}) {
+    if(!(factory && keyRange)) {
+      throw new TypeError(
+        '"indexedDB" and "IDBKeyRange" must be given if there is no global ' +
+        'IndexedDB implementation.');
+    }
+    this.dbName = dbName;
+    this.indexedDB = factory;
+    this.IDBKeyRange = keyRange;
+    this._db = null;
+    this._routes = new MemoryTransport();
+    this._addRoutes();
+  }
+
+  /**
+   * Handles a request using IndexedDB; see `AxiosTransport.request`.
+   *
+   * @param {Object} options the request options.
+   *
+   * @return {Promise<Object>} resolves to the response as
+   *   `{status, headers, data}`.
+   */
+  async request(options) {
+    return this._routes.request(options);
+  }
+
+  /**
+   * Gets a value that was saved using `setState`, such as the sync state of
+   * a `DataHubSync`. Values are stored apart from the data hubs and their
+   * documents.
+   *
+   * @param {String} key the key of the value.
+   *
+   * @return {Promise<*>} resolves to the value or `undefined` if none has
+   *   been saved.
+   */
+  async getState({key}) {
+    return this._transact({
+      stores: ['state'], mode: 'readonly',
+      fn: tx => _request(tx.objectStore('state').get(key))
+    });
+  }
+
+  /**
+   * Saves a value that can be retrieved using `getState`, replacing any
+   * value saved using the same key.
+   *
+   * @param {String} key the key of the value.
+   * @param {*} value the value, which must be structured cloneable.
+   *
+   * @return {Promise} resolves once the value has been saved.
+   */
+  async setState({key, value}) {
+    await this._transact({
+      stores: ['state'], mode: 'readwrite',
+      fn: tx => _request(tx.objectStore('state').put(value, key))
+    });
+  }
+
+  /**
+   * Closes the IndexedDB database; it is opened again if another request is
+   * made.
+   *
+   * @return {Promise} resolves once the database has been closed.
+   */
+  async close() {
+    if(this._db) {
+      const db = await this._db;
+      this._db = null;
+      db.close();
+    }
+  }
+
+  // helper that adds the routes of the data hub storage API
+  _addRoutes() {
+    const root = '/data-hubs';
+    const hub = `${root}/:dataHubId`;
+    const doc = `${hub}/documents/:docId`;
+    const route = (method, path, stores, mode, handler) =>
+      this._routes.route({
+        method, path,
+        handler: request => this._transact(
+          {stores, mode, fn: tx => handler({tx, ...request})})
+      });
+
+    // create a data hub
+    route('POST', root, ['configs'], 'readwrite', async ({tx, data}) => {
+      const config =
+        {...data, id: _generateId(), capabilities: [...CAPABILITIES]};
+      const configs = await _request(tx.objectStore('configs').getAll());
+      if(config.primary && configs.some(({config: {controller, primary}}) =>
+        primary && controller === config.controller)) {
+        return {status: 409};
+      }
+      await _request(tx.objectStore('configs').add(
+        {id: config.id, config, status: 'active'}));
+      return {status: 201, data: config};
+    });
+
+    // get data hubs by controller
+    route('GET', root, ['configs'], 'readonly', async ({tx, query}) => {
+      const {controller, primary} = query;
+      const configs = await _request(tx.objectStore('configs').getAll());
+      return {
+        data: configs.map(({config}) => config).filter(config =>
+          (controller === undefined || config.controller === controller) &&
+          (primary !== 'true' || config.primary))
+      };
+    });
+
+    // get a data hub
+    route('GET', hub, ['configs'], 'readonly', async ({tx, params}) => {
+      const record = await _getHub({tx, params});
+      return record ? {data: record.config} : {status: 404};
+    });
+
+    // update a data hub config (only top-level patch paths are supported)
+    route('PATCH', hub, ['configs'], 'readwrite', async (
+      {tx, params, data: {sequence, patch}}) => {
+      const record = await _getHub({tx, params});
+      if(!record) {
+        return {status: 404};
+      }
+      const {config} = record;
+      if(sequence !== config.sequence) {
+        return {status: 409};
+      }
+      for(const {op, path, value} of patch) {
+        const key = path.split('/')[1];
+        if(op === 'remove') {
+          delete config[key];
+        } else if(path.endsWith('/-')) {
+          config[key] = [...(config[key] || []), value];
+        } else {
+          config[key] = value;
+        }
+      }
+      config.sequence++;
+      await _request(tx.objectStore('configs').put(record));
+      return {status: 204};
+    });
+
+    // set the status of a data hub
+    route('POST', `${hub}/status`, ['configs'], 'readwrite', async (
+      {tx, params, data: {status}}) => {
+      const record = await _getHub({tx, params});
+      if(!record) {
+        return {status: 404};
+      }
+      record.status = status;
+      await _request(tx.objectStore('configs').put(record));
+      return {status: 204};
+    });
+
+    const stores = ['configs', 'documents', 'changes'];
+
+    // insert a document
+    route('POST', `${hub}/documents`, stores, 'readwrite', async (
+      {tx, params, data}) => {
+      if(!await _getHub({tx, params})) {
+        return {status: 404};
+      }
+      return this._insert({tx, dataHubId: params.dataHubId, doc: data});
+    });
+
+    // list documents in order of their IDs
+    route('GET', `${hub}/documents`, stores, 'readonly', async (
+      {tx, params: {dataHubId}, query}) => {
+      const {after} = query;
+      const limit = parseInt(query.limit, 10) || 100;
+      // arrays sort after strings, so `[dataHubId, []]` bounds every doc ID
+      const range = after === undefined ?
+        this.IDBKeyRange.bound([dataHubId, ''], [dataHubId, []]) :
+        this.IDBKeyRange.bound([dataHubId, after], [dataHubId, []], true);
+      const records = await _request(
+        tx.objectStore('documents').getAll(range, limit));
+      return {data: records.map(({doc}) => doc)};
+    });
+
+    // update a document
+    route('POST', doc, stores, 'readwrite', async ({tx, params, data}) => {
+      if(params.docId !== data.id) {
+        return {status: 400};
+      }
+      if(!await _getHub({tx, params})) {
+        return {status: 404};
+      }
+      return this._update({tx, dataHubId: params.dataHubId, doc: data});
+    });
+
+    // get a document
+    route('GET', doc, stores, 'readonly', async (
+      {tx, params: {dataHubId, docId}}) =>
+      this._get({tx, dataHubId, id: docId}));
+
+    // delete a document
+    route('DELETE', doc, stores, 'readwrite', async (
+      {tx, params: {dataHubId, docId}}) =>
+      this._delete({tx, dataHubId, id: docId}));
+
+    // update the index entry of a document
+    route('POST', `${doc}/index`, stores, 'readwrite', async (
+      {tx, params: {dataHubId, docId}, data: entry}) => {
+      const record = await _request(
+        tx.objectStore('documents').get([dataHubId, docId]));
+      if(!record) {
+        return {status: 404};
+      }
+      const {doc} = record;
+      if(entry.sequence !== doc.sequence) {
+        return {status: 409};
+      }
+      const indexed = doc.indexed.filter(e => e.hmac.id !== entry.hmac.id);
+      indexed.push(entry);
+      return this._put({tx, dataHubId, doc: {...doc, indexed}});
+    });
+
+    // query documents by their blinded index entries
+    route('POST', `${hub}/query`, stores, 'readonly', async (
+      {tx, params: {dataHubId}, data}) => {
+      const {index: hmacId, equals, has, after, limit, count} = data;
+      if(!(Array.isArray(equals) || Array.isArray(has))) {
+        return {status: 400};
+      }
+      const terms = tx.objectStore('documents').index('terms');
+      const find = async term => {
+        const records = await _request(
+          terms.getAll([dataHubId, hmacId, ...term]));
+        return new Map(records.map(({doc}) => [doc.id, doc]));
+      };
+      const matches = new Map();
+      for(const filter of equals || [has.map(name => [name])]) {
+        const termsToMatch = Array.isArray(filter) ?
+          filter : Object.entries(filter);
+        let docs = null;
+        for(const term of termsToMatch) {
+          const found = await find(term);
+          docs = docs === null ? found :
+            new Map([...docs].filter(([id]) => found.has(id)));
+        }
+        for(const [id, doc] of docs || []) {
+          matches.set(id, doc);
+        }
+      }
+      const results = [...matches.values()]
+        .filter(doc => after === undefined || doc.id > after)
+        .sort((a, b) => a.id < b.id ? -1 : 1);
+      if(count) {
+        return {data: {count: results.length}};
+      }
+      return {
+        data: limit === undefined ? results : results.slice(0, limit)
+      };
+    });
+
+    // get the changes to documents after a cursor; only the latest change to
+    // each document is kept
+    route('POST', `${hub}/changes`, stores, 'readonly', async (
+      {tx, params, data}) => {
+      if(!await _getHub({tx, params})) {
+        return {status: 404};
+      }
+      const {dataHubId} = params;
+      const {since, limit = 100} = data;
+      // a change matches if it matches any of the queries in `or`
+      const queries = data.or ||
+        ((data.equals || data.has) ? [data] : undefined);
+      const changes = tx.objectStore('changes').index('hub');
+      if(since === undefined) {
+        // no changes, only the latest cursor
+        const latest = await _request(changes.openCursor(
+          this.IDBKeyRange.bound([dataHubId, 0], [dataHubId, Infinity]),
+          'prev'));
+        return {
+          data: {changes: [], cursor: latest ? String(latest.value.seq) : '0'}
+        };
+      }
+      const range = this.IDBKeyRange.bound(
+        [dataHubId, parseInt(since, 10)], [dataHubId, Infinity], true);
+      const records = await _request(
+        changes.getAll(range, queries ? undefined : limit));
+      const results = [];
+      let cursor = since;
+      for(const record of records) {
+        if(results.length === limit) {
+          break;
+        }
+        cursor = String(record.seq);
+        if(queries && !queries.some(({index: hmacId, equals, has}) =>
+          _matches({indexed: record.indexed, hmacId, equals, has}))) {
+          continue;
+        }
+        const {type, id} = record;
+        const change = {type, id, cursor};
+        if(type !== 'delete') {
+          ({data: change.doc} = await this._get({tx, dataHubId, id}));
+        }
+        results.push(change);
+      }
+      return {data: {changes: results, cursor}};
+    });
+
+    // delegated capabilities cannot be stored or revoked as they would not
+    // be checked
+    const handler = () => ({status: 501});
+    this._routes.route(
+      {method: 'POST', path: `${hub}/authorizations`, handler});
+    this._routes.route(
+      {method: 'DELETE', path: `${hub}/authorizations/:zcapId`, handler});
+
+    // perform a batch of document operations
+    route('POST', `${hub}/batch`, stores, 'readwrite', async (
+      {tx, params, data: {operations}}) => {
+      if(!await _getHub({tx, params})) {
+        return {status: 404};
+      }
+      const {dataHubId} = params;
+      const results = [];
+      for(const {op, id, doc} of operations) {
+        let response;
+        if(op === 'insert') {
+          response = await this._insert({tx, dataHubId, doc});
+        } else if(op === 'update') {
+          response = await this._update({tx, dataHubId, doc});
+        } else if(op === 'get') {
+          response = await this._get({tx, dataHubId, id});
+        } else if(op === 'delete') {
+          response = await this._delete({tx, dataHubId, id});
+        } else {
+          response = {status: 400};
+        }
+        const {status = 200, data} = response;
+        results.push(op === 'get' && data ? {id, status, doc: data} :
+          {id, status});
+      }
+      return {data: {results}};
+    });
+  }
+
+  // helper that inserts a doc, resolving to a response
+  async _insert({tx, dataHubId, doc}) {
+    const documents = tx.objectStore('documents');
+    if(await _request(documents.get([dataHubId, doc.id]))) {
+      return {status: 409};
+    }
+    const response = await this._put({tx, dataHubId, doc, type: 'insert'});
+    return response.status === 204 ? {status: 201} : response;
+  }
+
+  // helper that updates (or inserts) a doc if its sequence number follows
+  // that of the stored doc, resolving to a response
+  async _update({tx, dataHubId, doc}) {
+    const record = await _request(
+      tx.objectStore('documents').get([dataHubId, doc.id]));
+    const expected = record ? record.doc.sequence + 1 : 0;
+    if(doc.sequence !== expected) {
+      return {status: 409};
+    }
+    return this._put({tx, dataHubId, doc});
+  }
+
+  // helper that gets a doc, resolving to a response
+  async _get({tx, dataHubId, id}) {
+    const record = await _request(
+      tx.objectStore('documents').get([dataHubId, id]));
+    return record ? {data: record.doc} : {status: 404};
+  }
+
+  // helper that deletes a doc, resolving to a response
+  async _delete({tx, dataHubId, id}) {
+    const documents = tx.objectStore('documents');
+    const record = await _request(documents.get([dataHubId, id]));
+    if(!record) {
+      return {status: 404};
+    }
+    await _request(documents.delete([dataHubId, id]));
+    // deletions are matched using the doc's last index entries
+    await _recordChange(
+      {tx, dataHubId, id, type: 'delete', indexed: record.doc.indexed});
+    return {status: 204};
+  }
+
+  // helper that stores a doc along with the blinded terms it can be found by,
+  // unless a unique attribute value is already used by another doc, and
+  // records the change (`type` is `insert` or `update`)
+  async _put({tx, dataHubId, doc, type = 'update'}) {
+    const terms = [];
+    const unique = [];
+    for(const {hmac, attributes} of doc.indexed || []) {
+      for(const {name, value, unique: isUnique} of attributes) {
+        const term = [dataHubId, hmac.id, name, value];
+        terms.push(term, [dataHubId, hmac.id, name]);
+        if(isUnique) {
+          unique.push(term);
+        }
+      }
+    }
+    const documents = tx.objectStore('documents');
+    for(const term of unique) {
+      const ids = await _request(documents.index('terms').getAllKeys(term));
+      if(ids.some(([, id]) => id !== doc.id)) {
+        return {status: 409};
+      }
+    }
+    await _request(documents.put({dataHubId, id: doc.id, doc, terms}));
+    await _recordChange(
+      {tx, dataHubId, id: doc.id, type, indexed: doc.indexed});
+    return {status: 204};
+  }
+
+  // helper that runs `fn` in a transaction, resolving to its result once the
+  // transaction has completed
+  async _transact({stores, mode, fn}) {
+    const db = await this._getDb();
+    const tx = db.transaction(stores, mode);
+    const complete = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted.'));
+    });
+    let result;
+    try {
+      result = await fn(tx);
+    } catch(e) {
+      complete.catch(() => {});
+      try {
+        tx.abort();
+      } catch(abortError) {
+        // transaction already finished
+      }
+      throw e;
+    }
+    await complete;
+    return result;
+  }
+
+  // helper that opens the database, creating its object stores if needed
+  async _getDb() {
+    if(!this._db) {
+      const request = this.indexedDB.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = ({oldVersion}) => {
+        const db = request.result;
+        if(oldVersion < 1) {
+          db.createObjectStore('configs', {keyPath: 'id'});
+          const documents = db.createObjectStore(
+            'documents', {keyPath: ['dataHubId', 'id']});
+          documents.createIndex('terms', 'terms', {multiEntry: true});
+        }
+        if(oldVersion < 2) {
+          // values saved using `setState`
+          db.createObjectStore('state');
+        }
+        if(oldVersion < 3) {
+          // the latest change to each doc, in the order they were made
+          const changes = db.createObjectStore(
+            'changes', {keyPath: 'seq', autoIncrement: true});
+          changes.createIndex('hub', ['dataHubId', 'seq']);
+          changes.createIndex('doc', ['dataHubId', 'id'], {unique: true});
+        }
+      };
+      this._db = _request(request);
+      // try again on the next request if the database could not be opened
+      this._db.catch(() => {
+        this._db = null;
+      });
+    }
+    return this._db;
+  }
+}
+
+// gets the stored record for the data hub with the ID in `params`
+async function _getHub({tx, params}) {
+  return _request(tx.objectStore('configs').get(params.dataHubId));
+}
+
+// records a change to a doc, replacing the doc's previous change (if any)
+async function _recordChange({tx, dataHubId, id, type, indexed = []}) {
+  const changes = tx.objectStore('changes');
+  const key = await _request(changes.index('doc').getKey([dataHubId, id]));
+  if(key !== undefined) {
+    await _request(changes.delete(key));
+  }
+  await _request(changes.add({dataHubId, id, type, indexed}));
+}
+
+// checks whether a doc's index entries match the blinded `equals` or `has`
+// filter of a query using the index for the HMAC with the given ID
+function _matches({indexed, hmacId, equals, has}) {
+  const entry = indexed.find(e => e.hmac.id === hmacId);
+  if(!entry) {
+    return false;
+  }
+  const hasTerm = ([name, value]) => entry.attributes.some(
+    a => a.name === name && (value === undefined || a.value === value));
+  return (equals || [has.map(name => [name])]).some(filter =>
+    (Array.isArray(filter) ? filter : Object.entries(filter)).every(hasTerm));
+}
+
+// wraps an IndexedDB request in a Promise
+function _request(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// generates a random ID for a data hub
+function _generateId() {
+  return base64url.encode(crypto.getRandomValues(new Uint8Array(16)));
+}
@@ -0,0 +1,114 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+export class MemoryTransport {
+  /**
+   * Creates a new MemoryTransport that passes requests to handlers in the
+   * same process instead of sending them over a network, e.g. to run against
+   * an in-process data hub storage implementation in tests. Request and
+   * response bodies are copied as JSON, as they would be over a network.
+   *
+   * @return {MemoryTransport}.
+   */
+  constructor() {
+    this.routes = [];
+  }
+
+  /**
+   * Adds a route. Its handler is called with
+   * `{method, url, params, query, headers, data}`, where `params` holds the
+   * values of the `:name` segments of `path` and `query` holds the query
+   * parameters, and must return (or resolve to) `{status, headers, data}`.
+   * If a handler throws, the response status is 500.
+   *
+   * @param {String} method the HTTP method, e.g. `GET`.
+   * @param {String} path the path to match, e.g.
+   *   `/data-hubs/:dataHubId/documents/:docId`.
+   * @param {Function} handler the handler for matching requests.
+   */
+  route({method, path, handler}) {
+    this.routes.push({
+      method: method.toUpperCase(),
+      segments: path.split('/'),
+      handler
+    });
+  }
+
+  /**
+   * Passes a request to the handler of the first matching route; see
+   * `AxiosTransport.request`. The response status is 404 if no route
+   * matches.
+   *
+   * @param {String} [method='GET'] the HTTP method.
+   * @param {String} url the URL (or path) of the request.
+   * @param {Object} [params] query parameters; those that are `undefined`
+   *   are omitted.
+   * @param {Object} [headers] HTTP headers.
+   * @param {*} [data] a request body.
+   *
+   * @return {Promise<Object>} resolves to the response as
+   *   `{status, headers, data}`.
+   */
+  async request({method = 'GET', url, params = {}, headers = {}, data}) {
+    method = method.toUpperCase();
+    const [path, search = ''] = url.replace(/^[a-z]+:\/\/[^/]+/i, '')
+      .split('?');
+    const query = {};
+    for(const pair of search.split('&').filter(p => p)) {
+      const [key, value = ''] = pair.split('=').map(decodeURIComponent);
+      query[key] = value;
+    }
+    for(const key in params) {
+      if(params[key] !== undefined) {
+        query[key] = String(params[key]);
+      }
+    }
+    for(const route of this.routes) {
+      const routeParams = route.method === method &&
+        _matchPath(route.segments, path.split('/'));
+      if(!routeParams) {
+        continue;
+      }
+      let response;
+      try {
+        response = await route.handler({
+          method, url, params: routeParams, query, headers,
+          data: _copy(data)
+        });
+      } catch(e) {
+        return {status: 500, headers: {}, data: {message: e.message}};
+      }
+      const {status = 200, headers: responseHeaders = {}} = response || {};
+      return {
+        status,
+        headers: responseHeaders,
+        data: _copy((response || {}).data)
+      };
+    }
+    return {status: 404, headers: {}, data: undefined};
+  }
+}
+
+// matches path segments against route segments, returning the values of
+// the route's `:name` segments or `null` if the path does not match
+function _matchPath(routeSegments, segments) {
+  if(routeSegments.length !== segments.length) {
+    return null;
+  }
+  const params = {};
+  for(const [i, segment] of routeSegments.entries()) {
+    if(segment.startsWith(':')) {
+      params[segment.slice(1)] = decodeURIComponent(segments[i]);
+    } else if(segment !== segments[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+// copies a body as if it were sent over a network
+function _copy(data) {
+  return data === undefined ? undefined : JSON.parse(JSON.stringify(data));
+}
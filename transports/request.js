@@ -0,0 +1,90 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import {signCapabilityInvocation} from './signature.js';
+
+// the errors for particular statuses unless others are given
+const DEFAULT_ERRORS = {
+  501: {
+    name: 'NotSupportedError',
+    message: 'The data hub does not support this request.'
+  }
+};
+
+/**
+ * Sends a request using a transport and throws an error if the response
+ * status is not a success status (see `getError`) or if no response was
+ * received, in which case the error is a `NetworkError`. If an
+ * `invocationSigner` is given, the request is signed as an invocation of
+ * `capability`; see `signCapabilityInvocation`.
+ *
+ * @param {Object} transport the transport to use, e.g. an `AxiosTransport`.
+ * @param {Object} [invocationSigner] a signer to sign the request with.
+ * @param {Object|String} [capability] the capability to invoke or its ID.
+ * @param {String} [capabilityAction] the action to invoke (default: `read`
+ *   for `GET` requests, otherwise `write`).
+ * @param {Object} [errors] the `{name, message}` of the error to throw for
+ *   particular statuses, by status; see `getError`.
+ * @param {Object} options the request options, see `AxiosTransport.request`.
+ *
+ * @return {Promise<Object>} resolves to the response as
+ *   `{status, headers, data}`.
+ */
+export async function request({
+  transport, invocationSigner, capability, capabilityAction, errors,
+  ...options
+}) {
+  if(invocationSigner) {
+    const {method = 'GET'} = options;
+    if(capabilityAction === undefined) {
+      capabilityAction = method.toUpperCase() === 'GET' ? 'read' : 'write';
+    }
+    options = await signCapabilityInvocation(
+      {...options, invocationSigner, capability, capabilityAction});
+  }
+  let response;
+  try {
+    response = await transport.request(options);
+  } catch(e) {
+    // transports only reject if no response was received, e.g. when offline
+    const err = new Error('No response was received.');
+    err.name = 'NetworkError';
+    err.cause = e;
+    throw err;
+  }
+  const error = getError({status: response.status, errors});
+  if(error) {
+    error.response = response;
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * Gets the error for a response status. Success statuses and `304` (which is
+ * only returned for conditional requests, e.g. using `If-None-Match`) are not
+ * errors; `501` results in a `NotSupportedError` and other statuses that are
+ * not listed in `errors` result in an `HTTPError`. The error has the
+ * `status`.
+ *
+ * @param {Number} status the response status.
+ * @param {Object} [errors] the `{name, message}` of the error for particular
+ *   statuses, by status.
+ *
+ * @return {Error|null} the error or `null` for a success or `304` status.
+ */
+export function getError({status, errors = {}}) {
+  if((status >= 200 && status < 300) || status === 304) {
+    return null;
+  }
+  const {
+    name = 'HTTPError',
+    message = `Request failed with status "${status}".`
+  } = errors[status] || DEFAULT_ERRORS[status] || {};
+  const err = new Error(message);
+  err.name = name;
+  err.status = status;
+  return err;
+}
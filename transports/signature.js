@@ -0,0 +1,172 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import jsigs from 'jsonld-signatures';
+import ocapld from 'ocapld';
+
+const {CapabilityDelegation} = ocapld;
+const {Ed25519Signature2018} = jsigs.suites;
+
+// how long a request signature is valid for, in seconds
+const SIGNATURE_TTL = 600;
+
+/**
+ * Signs a request that invokes an authorization capability (zcap) using
+ * HTTP Signatures. A `capability-invocation` header names the capability and
+ * action, and a `digest` header covers the body, if any; both are signed,
+ * along with the request target, host, and content type.
+ *
+ * @param {String} [method='GET'] the HTTP method.
+ * @param {String} url the URL of the request.
+ * @param {Object} [params] query parameters; they are added to the URL so
+ *   that they are signed.
+ * @param {Object} [headers] HTTP headers.
+ * @param {*} [data] a body to send as JSON.
+ * @param {Object} invocationSigner an API with an `id` (used as the key ID)
+ *   and a `sign({data})` function that resolves to the signature bytes.
+ * @param {Object|String} capability the capability to invoke or its ID.
+ * @param {String} capabilityAction the action to invoke, e.g. `read`.
+ *
+ * @return {Promise<Object>} resolves to the request options to send,
+ *   `{method, url, headers, data}`.
+ */
+export async function signCapabilityInvocation({
+  method = 'GET', url, params = {}, headers = {}, data, invocationSigner,
+  capability, capabilityAction
+}) {
+  if(!(invocationSigner && typeof invocationSigner.id === 'string' &&
+    typeof invocationSigner.sign === 'function')) {
+    throw new TypeError(
+      '"invocationSigner" must be an object with "id" and "sign".');
+  }
+  const capabilityId = typeof capability === 'string' ?
+    capability : (capability && capability.id);
+  if(typeof capabilityId !== 'string') {
+    throw new TypeError('"capability" must be a capability or its ID.');
+  }
+  if(typeof capabilityAction !== 'string') {
+    throw new TypeError('"capabilityAction" must be a string.');
+  }
+
+  // sign the URL that will be sent, including any query parameters
+  const isRelative = !/^[a-z][a-z0-9+.-]*:/i.test(url);
+  const parsed = new URL(url, isRelative ? _getBaseUrl() : undefined);
+  for(const key in params) {
+    if(params[key] !== undefined) {
+      parsed.searchParams.append(key, String(params[key]));
+    }
+  }
+  const target = parsed.pathname + parsed.search;
+
+  headers = {...headers};
+  headers['capability-invocation'] =
+    `zcap id="${capabilityId}",action="${capabilityAction}"`;
+  if(data !== undefined) {
+    if(!_getHeader(headers, 'content-type')) {
+      headers['content-type'] = 'application/json';
+    }
+    const body = new TextEncoder().encode(JSON.stringify(data));
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', body));
+    headers.digest = `SHA-256=${_encodeBase64(digest)}`;
+  }
+
+  const created = Math.floor(Date.now() / 1000);
+  const expires = created + SIGNATURE_TTL;
+  const covered = [
+    ['(key-id)', invocationSigner.id],
+    ['(created)', created],
+    ['(expires)', expires],
+    ['(request-target)', `${method.toLowerCase()} ${target}`],
+    ['host', parsed.host],
+    ['capability-invocation', headers['capability-invocation']]
+  ];
+  for(const name of ['content-type', 'digest']) {
+    const value = _getHeader(headers, name);
+    if(value !== undefined) {
+      covered.push([name, value]);
+    }
+  }
+  const plaintext = covered.map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+  const signature = await invocationSigner.sign(
+    {data: new TextEncoder().encode(plaintext)});
+  headers.authorization = 'Signature ' + [
+    `keyId="${invocationSigner.id}"`,
+    `headers="${covered.map(([name]) => name).join(' ')}"`,
+    `signature="${_encodeBase64(signature)}"`,
+    `created="${created}"`,
+    `expires="${expires}"`
+  ].join(',');
+
+  return {
+    method,
+    url: isRelative ? target : parsed.origin + target,
+    headers,
+    data
+  };
+}
+
+/**
+ * Signs a delegated authorization capability (zcap) by adding an
+ * `Ed25519Signature2018` proof with the `capabilityDelegation` purpose, made
+ * using the delegator's key, so that it can be verified using `ocapld`. The
+ * proof's `capabilityChain` lists the IDs of the capabilities it was
+ * delegated from, starting with the root capability. The capability must
+ * use the security context (v2) and its URLs must be absolute.
+ *
+ * @param {Object} capability the capability to sign.
+ * @param {Array} capabilityChain the IDs of the parent capabilities.
+ * @param {Object} invocationSigner an API for an Ed25519 key with an `id`
+ *   (used as the verification method) and a `sign({data})` function that
+ *   resolves to the signature bytes.
+ *
+ * @return {Promise<Object>} resolves to a copy of the capability with a
+ *   `proof`.
+ */
+export async function signCapabilityDelegation({
+  capability, capabilityChain, invocationSigner
+}) {
+  if(!(invocationSigner && typeof invocationSigner.id === 'string' &&
+    typeof invocationSigner.sign === 'function')) {
+    throw new TypeError(
+      '"invocationSigner" must be an object with "id" and "sign".');
+  }
+  return jsigs.sign(capability, {
+    suite: new Ed25519Signature2018(
+      {signer: invocationSigner, verificationMethod: invocationSigner.id}),
+    purpose: new CapabilityDelegation({capabilityChain}),
+    // the security context is built in, so nothing is fetched
+    documentLoader: jsigs.strictDocumentLoader,
+    compactProof: false
+  });
+}
+
+/**
+ * Resolves a URL against the URL that relative request URLs are resolved
+ * against (the page's URL, if any).
+ *
+ * @param {String} url the URL to resolve.
+ *
+ * @return {String} the absolute URL.
+ */
+export function getAbsoluteUrl(url) {
+  return new URL(url, _getBaseUrl()).href;
+}
+
+// gets the URL that relative request URLs are resolved against
+function _getBaseUrl() {
+  return typeof location === 'undefined' ? 'http://localhost' : location.href;
+}
+
+// gets the value of a header by its case-insensitive name
+function _getHeader(headers, name) {
+  const key = Object.keys(headers).find(h => h.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+// encodes bytes as base64 (not base64url), as HTTP Signatures require
+function _encodeBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}